@@ -0,0 +1,233 @@
+// Local mock backend for trying the lead forms end to end: `node dev/mock-server.js [port]`,
+// then open http://localhost:8080/. Serves the site from the repository root and answers the lead
+// endpoints the way the real backend does.
+//
+// The reply for a lead is picked from its email address: dr+503@example.com gets a 503 and
+// dr+422@example.com a 422, anything else a 201. MOCK_LEAD_STATUS=500 sets the default instead, and
+// MOCK_LEAD_DELAY=3000 holds every reply back that many milliseconds. Endpoints not handled here 404,
+// which the page treats like a missing backend.
+//
+// GET /api/spam-challenge issues the signed proof-of-work challenges SpamGuard solves, and every lead is
+// scored again here the way the real backend should: the signature, expiry, hash and single use of its
+// proof, the time since the challenge was issued and the email domain. The browser's own signals can
+// only add to that score. Blocked leads get a 201 and are dropped; see the log for each verdict.
+//
+// Leads are deduplicated on their payload id, as the real backend must: the retry queue resends a lead
+// whose reply never arrived, even when the server had already taken it. A repeat gets the first reply again.
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(__dirname, '..');
+const port = Number(process.argv[2]) || 8080;
+const defaultStatus = Number(process.env.MOCK_LEAD_STATUS) || 201;
+const delay = Number(process.env.MOCK_LEAD_DELAY) || 0;
+
+// Scored with the same rules and domain list SpamGuard loads in the browser
+const secret = crypto.randomBytes(32);
+const rules = require('../data/spam-rules.json');
+const spam = {
+    minDifficulty: 16,
+    maxDifficulty: 24,
+    challengeTtl: 30 * 60 * 1000,
+    minFillTime: 4000,
+    disposableDomains: new Set(require('../data/disposable-domains.json').domains || [])
+};
+const usedChallenges = new Map();
+const acceptedLeads = new Map();
+
+const types = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.woff2': 'font/woff2'
+};
+
+const messages = {
+    400: 'The request could not be read',
+    408: 'The request took too long',
+    422: 'Please check the email address',
+    429: 'Too many requests - please try again later',
+    500: 'Something went wrong on our side',
+    503: 'The service is temporarily unavailable'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': types['.json'], 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sign(challenge, difficulty, expires) {
+    return crypto.createHmac('sha256', secret).update(`${challenge}:${difficulty}:${expires}`).digest('hex');
+}
+
+function issueChallenge(req, res) {
+    const asked = Number(new URL(req.url, 'http://localhost').searchParams.get('difficulty')) || 0;
+    const difficulty = Math.min(Math.max(asked, spam.minDifficulty), spam.maxDifficulty);
+    const issuedAt = Date.now();
+    const challenge = `${crypto.randomBytes(16).toString('hex')}.${issuedAt}`;
+    const expires = issuedAt + spam.challengeTtl;
+
+    sendJson(res, 200, { challenge, difficulty, expires, signature: sign(challenge, difficulty, expires) });
+}
+
+function leadingZeroBits(buffer) {
+    let bits = 0;
+    for (const byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        return bits + Math.clz32(byte) - 24;
+    }
+    return bits;
+}
+
+// The issue time of a valid proof, or null when it doesn't hold up
+function verifyProof(proof) {
+    if (!proof || typeof proof.challenge !== 'string' || typeof proof.signature !== 'string') return null;
+
+    const { challenge, difficulty, expires, signature, nonce } = proof;
+    const expected = sign(challenge, difficulty, expires);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+    if (Date.now() > expires || usedChallenges.has(challenge)) return null;
+
+    const digest = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    if (leadingZeroBits(digest) < difficulty) return null;
+
+    usedChallenges.set(challenge, expires);
+    usedChallenges.forEach((until, used) => {
+        if (until < Date.now()) usedChallenges.delete(used);
+    });
+    return Number(challenge.split('.')[1]);
+}
+
+function scoreLead(payload) {
+    const report = payload.spam || {};
+    const proof = report.proof || null;
+    const issuedAt = verifyProof(proof);
+    const signals = new Set();
+
+    // A challenged browser fetches its harder proof at submit time, and that extra work stands in for the wait
+    const stepUp = issuedAt !== null && proof.difficulty >= spam.minDifficulty + rules.stepUpBits;
+    if (issuedAt === null) {
+        signals.add('invalid-proof');
+    } else if (!stepUp && Date.now() - issuedAt < spam.minFillTime) {
+        signals.add('fast');
+    }
+
+    const domain = String((payload.fields && payload.fields.email) || '').toLowerCase().split('@')[1] || '';
+    const parts = domain.split('.');
+    if (parts.some((part, index) => spam.disposableDomains.has(parts.slice(index).join('.')))) signals.add('disposable-email');
+
+    // Reported by the browser - trusted only when they count against the lead
+    (Array.isArray(report.signals) ? report.signals : [])
+        .filter(signal => signal in rules.weights)
+        .forEach(signal => signals.add(signal));
+
+    const list = Array.from(signals);
+    const score = list.reduce((total, signal) => total + rules.weights[signal], 0);
+    let verdict = 'pass';
+    if (list.length >= rules.minSignals) {
+        verdict = score >= rules.blockScore ? 'block' : 'challenge';
+    }
+    // Challenged leads must have solved the harder proof the browser asks for
+    if (verdict === 'challenge' && !stepUp) verdict = 'block';
+
+    return { score, signals: list, verdict };
+}
+
+function pickStatus(payload) {
+    const email = (payload && payload.fields && payload.fields.email) || '';
+    const tag = /\+(\d{3})@/.exec(email);
+    return tag ? Number(tag[1]) : defaultStatus;
+}
+
+async function handleLead(req, res) {
+    let payload = null;
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendJson(res, 400, { message: messages[400] });
+        return;
+    }
+
+    const previous = payload.id ? acceptedLeads.get(payload.id) : null;
+    if (previous) {
+        console.log(`${new Date().toISOString()} ${req.url} -> ${previous.status} duplicate of ${payload.id}, ignored`);
+        setTimeout(() => sendJson(res, previous.status, previous.body), delay);
+        return;
+    }
+
+    const status = pickStatus(payload);
+    const assessment = scoreLead(payload);
+    console.log(`${new Date().toISOString()} ${req.url} -> ${status} ${assessment.verdict} [${assessment.signals.join(', ')}]`, JSON.stringify(payload.fields || {}));
+
+    if (status >= 200 && status < 300 && payload.id) {
+        acceptedLeads.set(payload.id, { status, body: { id: payload.id, message: '' } });
+    }
+
+    setTimeout(() => {
+        if (status >= 200 && status < 300) {
+            sendJson(res, status, { id: payload.id || null, message: '' });
+        } else {
+            sendJson(res, status, { message: messages[status] || `Mock error ${status}` });
+        }
+    }, delay);
+}
+
+function serveFile(req, res) {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const file = path.join(root, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+
+    if (!file.startsWith(root + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': types[path.extname(file)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+const leadRoutes = ['/api/leads', '/api/waitlist'];
+
+http.createServer((req, res) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+
+    if (req.method === 'POST' && leadRoutes.includes(pathname)) {
+        handleLead(req, res);
+    } else if (req.method === 'GET' && pathname === '/api/spam-challenge') {
+        issueChallenge(req, res);
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        serveFile(req, res);
+    } else {
+        sendJson(res, 404, { message: 'Not found' });
+    }
+}).listen(port, () => {
+    console.log(`Mock server on http://localhost:${port}/ - lead replies default to ${defaultStatus}`);
+});
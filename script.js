@@ -6,18 +6,91 @@
     'use strict';
     
     // Performance and state management
-    let scrollTicking = false;
     let resizeTicking = false;
     let lastScrollY = 0;
     let windowHeight = window.innerHeight;
     let windowWidth = window.innerWidth;
     
-    // Reduced motion detection
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    
     // Cache DOM elements for performance
     const elements = {};
-    
+
+    // Runtime configuration - define window.ArmanLeadsConfig before this script to override
+    const config = Object.assign({
+        leadEndpoint: '/api/leads',
+        leadTransports: ['fetch', 'beacon'],
+        leadMailto: 'hello@armanleads.com',
+        submitTimeout: 10000,
+        leadRateLimit: 3,
+        leadRateWindowMinutes: 60,
+        spamMinFillTime: 4000,
+        proofOfWorkDifficulty: 16,
+        spamChallengeEndpoint: '/api/spam-challenge',
+        disposableDomainsPath: 'data/disposable-domains.json',
+        spamRulesPath: 'data/spam-rules.json',
+        disposableDomains: [],
+        draftSaveDelay: 1000,
+        draftMaxAgeHours: 72,
+        abandonEndpoint: null,
+        siteAuditEndpoint: '/api/site-audit',
+        siteAuditTimeout: 8000,
+        testimonialsPath: 'data/testimonials.json',
+        reviewStructuredData: false,
+        leadCaptureDwellSeconds: 45,
+        leadCaptureScrollDepth: 0.5,
+        leadCaptureCooldownDays: 14,
+        offerEndpoint: '/api/offer',
+        offerRefreshMinutes: 5,
+        urlCheckEndpoint: '/api/check-url',
+        availabilityEndpoint: '/api/availability',
+        bookingEndpoint: '/api/bookings',
+        phoneNumbers: {
+            default: { number: '+1234567890', display: '+1 (234) 567-890' },
+            ads: [],
+            organic: [],
+            referral: []
+        },
+        officeHours: {
+            timezone: 'Asia/Baghdad',
+            days: {
+                sun: '09:00-17:00',
+                mon: '09:00-17:00',
+                tue: '09:00-17:00',
+                wed: '09:00-17:00',
+                thu: '09:00-17:00',
+                fri: null,
+                sat: '10:00-14:00'
+            },
+            holidays: []
+        },
+        analyticsEndpoint: '/api/events',
+        analyticsSinks: ['dataLayer', 'beacon'],
+        analyticsBatchSize: 10,
+        analyticsFlushInterval: 5000,
+        analyticsConsent: false,
+        analyticsEvents: [
+            'cta:click',
+            'nav:anchor-click',
+            'scroll:depth',
+            'section:reveal',
+            'faq:open',
+            'faq:search',
+            'faq:ask',
+            'form:step',
+            'form:invalid',
+            'form:submit',
+            'form:abandon',
+            'experiment:exposure',
+            'experiment:conversion'
+        ],
+        consentVersion: 1,
+        consentMaxAgeDays: 180,
+        attributionMaxAgeDays: 90,
+        experiments: [],
+        defaultLocale: 'en',
+        localePath: 'locales/{locale}.json',
+        currency: 'USD'
+    }, window.ArmanLeadsConfig);
+
     // Utility functions
     const utils = {
         debounce(func, wait, immediate = false) {
@@ -53,10 +126,622 @@
             return Math.min(Math.max(value, min), max);
         },
         
+        isRTL() {
+            return document.documentElement.dir === 'rtl';
+        },
+        
         getScrollProgress() {
             const scrollTop = window.pageYOffset;
             const documentHeight = document.documentElement.scrollHeight - windowHeight;
             return Math.min(scrollTop / documentHeight, 1);
+        },
+
+        uid() {
+            if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+                return window.crypto.randomUUID();
+            }
+            return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        },
+        
+        trapFocus(container) {
+            const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+            
+            const handleKeydown = (e) => {
+                if (e.key !== 'Tab') return;
+                
+                const focusable = Array.from(container.querySelectorAll(selector))
+                    .filter(el => !el.closest('[hidden]'));
+                
+                if (!focusable.length) {
+                    e.preventDefault();
+                    return;
+                }
+                
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                
+                // A dialog focuses itself on open, which Shift+Tab would otherwise leave backwards
+                const atStart = document.activeElement === first || document.activeElement === container;
+                if (e.shiftKey && (atStart || !container.contains(document.activeElement))) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            };
+            
+            container.addEventListener('keydown', handleKeydown);
+            return () => container.removeEventListener('keydown', handleKeydown);
+        },
+        
+        getTextNode(element) {
+            const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+            });
+            return walker.nextNode();
+        },
+        
+        // Swap only the first real text node so icons inside buttons and links survive
+        setText(element, text) {
+            const node = utils.getTextNode(element);
+            
+            if (node) {
+                const leading = node.textContent.match(/^\s*/)[0];
+                const trailing = node.textContent.match(/\s*$/)[0];
+                node.textContent = `${leading}${text}${trailing}`;
+            } else {
+                element.textContent = text;
+            }
+        },
+        
+        // Fixed bars covering the viewport edges: the navbar on top and, while it shows, the mobile action bar
+        getScrollInsets() {
+            const actionBar = elements.actionBar;
+            
+            return {
+                top: elements.navbar ? elements.navbar.offsetHeight : 0,
+                bottom: actionBar && actionBar.classList.contains('is-visible') ? actionBar.offsetHeight : 0
+            };
+        },
+        
+        // Scroll so the target lands clear of both fixed bars - smoothly, unless motion is reduced. The offset
+        // takes the navbar's height and, while it shows, the action bar's too, since both eat into the viewport
+        scrollToElement(target) {
+            const insets = utils.getScrollInsets();
+            const targetTop = target.getBoundingClientRect().top + window.pageYOffset - insets.top - insets.bottom - 20;
+            const maxTop = Math.max(0, document.documentElement.scrollHeight - windowHeight);
+            
+            const top = utils.clamp(targetTop, 0, maxTop);
+            
+            window.scrollTo({
+                top,
+                behavior: frames.reducedMotion ? 'auto' : 'smooth'
+            });
+            return top;
+        },
+        
+        // querySelectorAll that also tests root itself - for scanning freshly inserted subtrees
+        queryAll(root, selector) {
+            const matches = Array.from(root.querySelectorAll(selector));
+            return root.matches && root.matches(selector) ? [root].concat(matches) : matches;
+        }
+    };
+
+    // Safe Web Storage access (private mode and quota errors degrade to no-ops)
+    const createStorage = (area) => ({
+        get(key, fallback = null) {
+            try {
+                const raw = window[area].getItem(key);
+                return raw === null ? fallback : JSON.parse(raw);
+            } catch (error) {
+                return fallback;
+            }
+        },
+
+        set(key, value) {
+            try {
+                window[area].setItem(key, JSON.stringify(value));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        remove(key) {
+            try {
+                window[area].removeItem(key);
+            } catch (error) {
+                // Storage unavailable - nothing to remove
+            }
+        }
+    });
+
+    const storage = createStorage('localStorage');
+    // For state that may last the visit but needs consent to outlive it
+    const sessionStore = createStorage('sessionStorage');
+    
+    // Page-wide event bus - controllers emit, AnalyticsController (and anyone else) subscribes
+    class EventBus {
+        constructor() {
+            this.handlers = new Map();
+        }
+        
+        on(type, handler) {
+            if (!this.handlers.has(type)) {
+                this.handlers.set(type, new Set());
+            }
+            this.handlers.get(type).add(handler);
+            return () => this.off(type, handler);
+        }
+        
+        off(type, handler) {
+            const handlers = this.handlers.get(type);
+            if (handlers) handlers.delete(handler);
+        }
+        
+        emit(type, detail = {}) {
+            // '*' subscribers receive every event with its type as the second argument
+            [type, '*'].forEach(key => {
+                const handlers = this.handlers.get(key);
+                if (!handlers) return;
+                
+                handlers.forEach(handler => {
+                    try {
+                        handler(detail, type);
+                    } catch (error) {
+                        console.error(`Event handler for "${type}" failed:`, error);
+                    }
+                });
+            });
+        }
+    }
+    
+    const events = new EventBus();
+    
+    // Teardown bookkeeping - controllers register every listener, observer, timer and bus
+    // subscription here so destroy() can undo all of it and init() can run again
+    class Disposables {
+        constructor() {
+            this.callbacks = [];
+        }
+        
+        add(callback) {
+            this.callbacks.push(callback);
+            return callback;
+        }
+        
+        listen(target, type, handler, options) {
+            target.addEventListener(type, handler, options);
+            return this.add(() => target.removeEventListener(type, handler, options));
+        }
+        
+        timeout(callback, delay) {
+            const cancel = this.add(() => clearTimeout(id));
+            const id = setTimeout(() => {
+                // Fired timers have nothing left to undo
+                this.callbacks = this.callbacks.filter(registered => registered !== cancel);
+                callback();
+            }, delay);
+            return cancel;
+        }
+        
+        observe(observer) {
+            this.add(() => observer.disconnect());
+            return observer;
+        }
+        
+        dispose() {
+            // Newest first, mirroring the order things were wired up
+            this.callbacks.splice(0).reverse().forEach(callback => {
+                try {
+                    callback();
+                } catch (error) {
+                    console.warn('Teardown step failed:', error);
+                }
+            });
+        }
+    }
+    
+    // Frame Scheduler
+    // The page's one requestAnimationFrame loop. Each frame runs every due task's read(frame) before
+    // any write(frame), so layout is measured once instead of thrashed; frame is { time, scrollY }.
+    // A task runs when request()ed, on every scroll with { scroll: true }, and again next frame for as
+    // long as write() returns true. { element } holds it while that element is off screen, { motion: true }
+    // while the visitor prefers reduced motion, and nothing runs in a hidden tab. Held requests run
+    // once the hold lifts. Reduced-motion changes are broadcast live as motion:change.
+    class FrameScheduler {
+        constructor() {
+            this.tasks = new Map();
+            this.frameId = null;
+            this.visibilityObserver = null;
+            this.listeners = new Disposables();
+            this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.tick = this.tick.bind(this);
+            
+            this.watchMotion();
+        }
+        
+        get reducedMotion() {
+            return this.motionQuery.matches;
+        }
+        
+        watchMotion() {
+            const handleChange = () => {
+                this.wake();
+                events.emit('motion:change', { reduced: this.reducedMotion });
+            };
+            
+            // Older Safari only knows the deprecated addListener
+            if (this.motionQuery.addEventListener) {
+                this.motionQuery.addEventListener('change', handleChange);
+            } else if (this.motionQuery.addListener) {
+                this.motionQuery.addListener(handleChange);
+            }
+        }
+        
+        // Public API: add({ read, write }, { element, scroll, motion }) - returns a remover for Disposables
+        add(task, { element = null, scroll = false, motion = false } = {}) {
+            if (!this.tasks.size) this.listen();
+            
+            const entry = { element, scroll, motion, visible: true, pending: false };
+            this.tasks.set(task, entry);
+            
+            if (element && 'IntersectionObserver' in window) {
+                entry.visible = false;
+                this.getVisibilityObserver().observe(element);
+            }
+            
+            return () => this.remove(task);
+        }
+        
+        remove(task) {
+            const entry = this.tasks.get(task);
+            if (!entry) return;
+            
+            this.tasks.delete(task);
+            
+            const shared = Array.from(this.tasks.values()).some(other => other.element === entry.element);
+            if (entry.element && this.visibilityObserver && !shared) {
+                this.visibilityObserver.unobserve(entry.element);
+            }
+            
+            if (!this.tasks.size) this.stop();
+        }
+        
+        // Public API: run a task on the next frame it is allowed to
+        request(task) {
+            const entry = this.tasks.get(task);
+            if (!entry) return;
+            
+            entry.pending = true;
+            this.wake();
+        }
+        
+        listen() {
+            this.listeners.listen(window, 'scroll', () => {
+                this.tasks.forEach((entry, task) => {
+                    if (entry.scroll) this.request(task);
+                });
+            }, { passive: true });
+            
+            // Hidden tabs get no frames; ask again for whatever was waiting once the tab is back
+            this.listeners.listen(document, 'visibilitychange', () => {
+                if (document.hidden) {
+                    cancelAnimationFrame(this.frameId);
+                    this.frameId = null;
+                } else {
+                    this.wake();
+                }
+            });
+        }
+        
+        stop() {
+            this.listeners.dispose();
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+            
+            if (this.visibilityObserver) this.visibilityObserver.disconnect();
+            this.visibilityObserver = null;
+        }
+        
+        getVisibilityObserver() {
+            if (!this.visibilityObserver) {
+                this.visibilityObserver = new IntersectionObserver((entries) => {
+                    entries.forEach(({ target, isIntersecting }) => {
+                        this.tasks.forEach(entry => {
+                            if (entry.element === target) entry.visible = isIntersecting;
+                        });
+                    });
+                    this.wake();
+                });
+            }
+            return this.visibilityObserver;
+        }
+        
+        isRunnable(entry) {
+            return entry.pending && entry.visible && !(entry.motion && this.reducedMotion);
+        }
+        
+        wake() {
+            if (this.frameId || document.hidden) return;
+            
+            const due = Array.from(this.tasks.values()).some(entry => this.isRunnable(entry));
+            if (due) this.frameId = requestAnimationFrame(this.tick);
+        }
+        
+        tick(time) {
+            this.frameId = null;
+            
+            const due = Array.from(this.tasks).filter(([, entry]) => this.isRunnable(entry));
+            due.forEach(([, entry]) => { entry.pending = false; });
+            
+            const frame = { time, scrollY: window.pageYOffset };
+            
+            // All reads, then all writes - a write never forces layout for a later read
+            [['read', false], ['write', true]].forEach(([phase, canContinue]) => {
+                due.forEach(([task, entry]) => {
+                    if (typeof task[phase] !== 'function') return;
+                    
+                    try {
+                        if (task[phase](frame) === true && canContinue) entry.pending = true;
+                    } catch (error) {
+                        console.error(`Frame task ${phase} failed:`, error);
+                    }
+                });
+            });
+            
+            this.wake();
+        }
+    }
+    
+    const frames = new FrameScheduler();
+    
+    // Internationalization
+    // English UI strings live in the catalog below; English page copy is read from the markup
+    // ([data-i18n] elements) at startup, so the HTML stays the source of truth. Other locales are
+    // fetched from config.localePath. Placeholders are {name} or {name, style} with style one of
+    // number, currency, compact or percent; a message may also be an object of plural forms keyed
+    // by Intl.PluralRules category and picked with params.count.
+    const locales = {
+        en: { lang: 'en', intl: 'en-US', dir: 'ltr' },
+        ku: { lang: 'ckb', intl: 'ckb-IQ', dir: 'rtl' },
+        ar: { lang: 'ar', intl: 'ar-IQ', dir: 'rtl' }
+    };
+    
+    const i18n = {
+        locale: 'en',
+        requests: {},
+        formatters: new Map(),
+        catalogs: {
+            en: {
+                'button.loading': 'Loading...',
+                'form.step': 'Step {step, number} of {total, number}: {title}',
+                'form.review.empty': '—',
+                'form.review.edit': 'Edit',
+                'form.review.editLabel': 'Edit {field}',
+                'form.fit.budget': 'A monthly marketing budget of {amount, currency} or more',
+                'form.fit.capacity': 'Room for {count, number}+ new patients each month',
+                'form.fit.timeline': 'A few weeks for campaigns to ramp up',
+                'form.sending': 'Sending Analysis...',
+                'form.verifying': 'Verifying...',
+                'form.rateLimited': 'You\'ve already sent a few requests. Please try again in {minutes, number} minutes or email us directly.',
+                'form.disposableEmail': 'Please use an email address you check regularly - your audit is sent there.',
+                'form.draft.savedAt': 'Saved {time}',
+                'form.draft.restored': 'Your earlier answers are back. Pick up where you left off.',
+                'form.draft.cleared': 'Your saved answers have been cleared from this device.',
+                'audit.loading': 'Checking {host}...',
+                'audit.ready': 'Quick check of {host}: {good, number} of {total, number} look good.',
+                'audit.timeout': 'The check is taking too long - we\'ll cover your website in the full audit instead.',
+                'audit.error': 'We couldn\'t check that website right now - we\'ll cover it in the full audit instead.',
+                'audit.https.label': 'HTTPS',
+                'audit.https.good': 'Secure connection',
+                'audit.https.poor': 'Not secure - browsers warn visitors',
+                'audit.mobile.label': 'Mobile-friendly',
+                'audit.mobile.good': 'Yes',
+                'audit.mobile.poor': 'Needs work',
+                'audit.title.label': 'Page title',
+                'audit.meta.label': 'Meta description',
+                'audit.present': 'Present',
+                'audit.missing': 'Missing',
+                'audit.speed.label': 'Load time (estimate)',
+                'audit.speed.value': 'About {seconds, number} s',
+                'audit.local.label': 'Local search visibility',
+                'audit.local.value': '{score, number}/{max, number}',
+                'form.sentButton': 'Analysis Sent! ✓',
+                'form.sent': 'Form submitted successfully. Check your email for the audit.',
+                'form.sentUnconfirmed': 'Your request is on its way. Check your email for the audit.',
+                'form.queued': 'You appear to be offline. We saved your request and will send it automatically once you reconnect.',
+                'form.queuedRetry': 'Our server didn\'t respond. We saved your request and will keep trying to send it automatically.',
+                'form.queueDelivered': 'Your earlier audit request has now been sent.',
+                'form.failed': 'We couldn\'t send your request. Please try again or email us directly.',
+                'form.failedWithReason': 'We couldn\'t send your request: {reason}',
+                'form.mailtoFallback': 'Email your details instead',
+                'form.notFit': 'Thank you. Based on your answers we are not quite a fit yet. Your details are saved.',
+                'validation.fallback': 'Please check this field',
+                'faq.search.results': {
+                    zero: 'No questions match',
+                    one: '{count, number} question matches',
+                    other: '{count, number} questions match'
+                },
+                'testimonials.slideRole': 'slide',
+                'testimonials.slide': '{index, number} of {total, number}',
+                'testimonials.goTo': 'Show testimonial {index, number}: {author}',
+                'testimonials.start': 'Start rotating testimonials',
+                'testimonials.stop': 'Stop rotating testimonials',
+                'testimonials.metric': 'New patients a month',
+                'testimonials.before': 'Before',
+                'testimonials.after': 'After',
+                'testimonials.growth': 'Growth',
+                'testimonials.growthValue': '+{change, percent}',
+                'testimonials.location': '{practice}, {city}',
+                'testimonials.rating': '{rating, number} out of {max, number} stars',
+                'roi.month': 'Month {month, number}',
+                'roi.monthValue': 'Month {month, number}: {amount, currency}',
+                'roi.noBreakEven': 'Not within 12 months',
+                'roi.summaryProfit': 'Real profit: If I bring you {patients, number} new patients at {value, currency} average = {revenue, currency}. After paying everything, you pocket {net, currency} extra each month.',
+                'roi.summaryLoss': 'With {patients, number} new patients at {value, currency} average, costs outweigh revenue by {net, currency} a month - try a higher patient value or lower ad spend.',
+                'roi.announceBreakEven': 'break-even in month {month, number}',
+                'roi.announceNoBreakEven': 'no break-even within 12 months',
+                'roi.announce': 'Net monthly profit {net, currency}, {breakEven}, 12-month net profit {yearNet, currency}.',
+                'roi.copied': 'Link copied!',
+                'roi.copiedAnnouncement': 'Link to this scenario copied to your clipboard.',
+                'roi.copyFallback': 'Copy the address bar to share',
+                'scheduler.loading': 'Loading available times...',
+                'scheduler.empty': 'No times are open right now. Please call us instead.',
+                'scheduler.loadFailed': 'We couldn\'t load available times. Please try again shortly or call us instead.',
+                'scheduler.pickDay': 'Pick a day to see open times',
+                'scheduler.dayFull': '{day} - no open times left',
+                'scheduler.dayLabel': {
+                    zero: '{day}, no open times',
+                    one: '{day}, {count, number} open time',
+                    other: '{day}, {count, number} open times'
+                },
+                'scheduler.slot': '{day} at {time}{timezone}, {minutes, number} minutes',
+                'scheduler.timezone': ' ({timezone})',
+                'scheduler.selection': 'Your call: {slot}',
+                'scheduler.booking': 'Booking...',
+                'scheduler.failed': 'We couldn\'t book your call. Please try again or call us directly.',
+                'scheduler.failedWithReason': 'We couldn\'t book your call: {reason}',
+                'scheduler.conflict': 'Sorry, that time was just taken. Please pick another one.',
+                'scheduler.confirmed': '{slot}. We\'ve sent the details to {email}.',
+                'scheduler.booked': 'Your call is booked for {slot}.',
+                'scheduler.icsSummary': '{minutes}-minute call with ArmanLeads',
+                'scheduler.icsDescription': 'Strategy call about filling your chairs with new patients.',
+                'callback.hours': 'We\'re closed right now. Leave your number and we\'ll call you back {day} from {time}.',
+                'callback.soon': 'We\'re closed right now. Leave your number and we\'ll call you back as soon as we\'re in.',
+                'callback.sent': 'Thanks! We\'ll call you back as soon as we\'re in.',
+                'scarcity.text.waitlist': 'Join the waitlist for the next opening',
+                'form.title.waitlist': 'Join the Waitlist',
+                'form.submit.waitlist': 'Join the Waitlist',
+                'form.note.waitlist': 'I\'ll email you as soon as a spot opens. No calls, no hassle.',
+                'call.callback': 'Request a Callback',
+                'actionBar.resume': 'Finish My Audit',
+                'actionBar.waitlist': 'Join the Waitlist',
+                'offer.remaining': {
+                    one: 'Only {count, number} of {capacity, number} spots left',
+                    other: 'Only {count, number} of {capacity, number} spots left'
+                },
+                'offer.full': 'All {capacity, number} spots are taken - join the waitlist and I\'ll reach out when one opens.',
+                'offer.ended': 'The founding offer has ended - join the waitlist and I\'ll reach out about the next one.',
+                'offer.days': {
+                    one: '{count, number} day',
+                    other: '{count, number} days'
+                },
+                'offer.timer': '{days} {clock}',
+                'offer.deadline': 'Ends {date}',
+                'consent.saved': 'Your privacy preferences have been saved.'
+            }
+        },
+        
+        get info() {
+            return locales[this.locale] || locales.en;
+        },
+        
+        get dir() {
+            return this.info.dir;
+        },
+        
+        get intlLocale() {
+            return this.info.intl;
+        },
+        
+        lookup(key) {
+            const catalog = this.catalogs[this.locale] || {};
+            return key in catalog ? catalog[key] : this.catalogs.en[key];
+        },
+        
+        has(key) {
+            return this.lookup(key) !== undefined;
+        },
+        
+        t(key, params = {}, fallback = key) {
+            let message = this.lookup(key);
+            if (message === undefined) message = fallback;
+            
+            if (message && typeof message === 'object') {
+                const count = Number(params.count);
+                // Exact zero reads better as "no ..." even in languages without a zero category
+                const category = count === 0 && message.zero ? 'zero' : this.getFormatter('plural', {}).select(count);
+                message = message[category] || message.other;
+            }
+            
+            return String(message).replace(/\{(\w+)(?:,\s*(\w+))?\}/g, (match, name, style) => {
+                if (params[name] === undefined) return match;
+                return style ? this.format(params[name], style) : params[name];
+            });
+        },
+        
+        format(value, style) {
+            switch (style) {
+                case 'currency':
+                    return this.formatCurrency(value);
+                case 'compact':
+                    return this.formatCurrency(value, { notation: 'compact', maximumFractionDigits: 1 });
+                case 'percent':
+                    return this.formatNumber(value, { style: 'percent' });
+                default:
+                    return this.formatNumber(value);
+            }
+        },
+        
+        getFormatter(type, options) {
+            const cacheKey = `${this.intlLocale}|${type}|${JSON.stringify(options)}`;
+            
+            if (!this.formatters.has(cacheKey)) {
+                const Formatter = { number: Intl.NumberFormat, date: Intl.DateTimeFormat, plural: Intl.PluralRules }[type];
+                let formatter;
+                try {
+                    formatter = new Formatter(this.intlLocale, options);
+                } catch (error) {
+                    // Older engines without the locale or an option - English formatting beats none
+                    formatter = new Formatter('en-US', options);
+                }
+                this.formatters.set(cacheKey, formatter);
+            }
+            
+            return this.formatters.get(cacheKey);
+        },
+        
+        formatNumber(value, options = {}) {
+            return this.getFormatter('number', options).format(value);
+        },
+        
+        formatCurrency(value, options = {}) {
+            return this.formatNumber(value, Object.assign({
+                style: 'currency',
+                currency: config.currency,
+                minimumFractionDigits: 0,
+                maximumFractionDigits: 0
+            }, options));
+        },
+        
+        formatDate(date, options = {}) {
+            return this.getFormatter('date', options).format(date);
+        },
+        
+        load(locale) {
+            if (this.catalogs[locale]) return Promise.resolve(this.catalogs[locale]);
+            
+            if (!this.requests[locale]) {
+                this.requests[locale] = fetch(config.localePath.replace('{locale}', locale), {
+                    headers: { 'Accept': 'application/json' },
+                    credentials: 'same-origin'
+                })
+                    .then(response => {
+                        if (!response.ok) throw new Error(`Catalog request failed with ${response.status}`);
+                        return response.json();
+                    })
+                    .then(catalog => {
+                        this.catalogs[locale] = catalog;
+                        return catalog;
+                    })
+                    .finally(() => {
+                        delete this.requests[locale];
+                    });
+            }
+            
+            return this.requests[locale];
         }
     };
     
@@ -66,80 +751,96 @@
         elements.heroSection = document.querySelector('.hero');
         elements.heroHeadline = document.querySelector('.hero-headline');
         elements.heroPhoto = document.querySelector('.hero-photo');
-        elements.faqItems = document.querySelectorAll('.faq-item');
-        elements.fadeElements = document.querySelectorAll('.fade-in');
         elements.form = document.getElementById('auditForm');
-        elements.buttons = document.querySelectorAll('.btn');
-        elements.revealElements = document.querySelectorAll('.reveal-on-scroll');
+        elements.actionBar = document.getElementById('action-bar');
         elements.urgencyStats = document.querySelectorAll('.urgency-stat');
-        elements.lazyImages = document.querySelectorAll('img[data-src], img[data-srcset]');
     }
     
     // Hero Section Animations with Fixed Transform Bug
     class HeroAnimations {
         constructor() {
+            this.heroSection = elements.heroSection;
             this.heroPhoto = elements.heroPhoto;
             this.heroHeadline = elements.heroHeadline;
+            this.pointer = null;
             this.mouseX = 0;
             this.mouseY = 0;
             this.currentX = 0;
             this.currentY = 0;
             this.scrollY = 0;
+            this.task = null;
+            this.disposables = new Disposables();
             
-            if (prefersReducedMotion) return;
             this.init();
         }
         
         init() {
             if (!this.heroPhoto || !this.heroHeadline) return;
             
-            this.setupParallax();
-            this.setupMouseMovement();
-            this.animateEntrance();
+            this.setupMotion();
+            // Under reduced motion the copy is simply there; parallax waits in case that changes
+            if (!frames.reducedMotion) this.animateEntrance();
         }
         
-        setupParallax() {
-            const handleScroll = () => {
-                if (!scrollTicking) {
-                    requestAnimationFrame(() => {
-                        this.scrollY = window.pageYOffset;
-                        this.updateTransforms();
-                        scrollTicking = false;
-                    });
-                    scrollTicking = true;
+        // Scroll parallax and the eased pointer drift are one frame task that only runs while the
+        // hero is on screen, and only until the drift has caught up with the pointer
+        setupMotion() {
+            this.task = {
+                read: ({ scrollY }) => {
+                    this.scrollY = scrollY;
+                    if (!this.pointer || !this.heroSection) return;
+                    
+                    const rect = this.heroSection.getBoundingClientRect();
+                    if (!rect.width || !rect.height) return;
+                    
+                    this.mouseX = (this.pointer.x - rect.left - rect.width / 2) / rect.width;
+                    this.mouseY = (this.pointer.y - rect.top - rect.height / 2) / rect.height;
+                    this.pointer = null;
+                },
+                write: () => {
+                    this.currentX = utils.lerp(this.currentX, this.mouseX * 10, 0.1);
+                    this.currentY = utils.lerp(this.currentY, this.mouseY * 10, 0.1);
+                    this.updateTransforms();
+                    
+                    return Math.abs(this.mouseX * 10 - this.currentX) > 0.05 || Math.abs(this.mouseY * 10 - this.currentY) > 0.05;
                 }
             };
             
-            window.addEventListener('scroll', handleScroll, { passive: true });
-        }
-        
-        setupMouseMovement() {
-            const heroSection = elements.heroSection;
-            if (!heroSection) return;
-            
-            const handleMouseMove = (e) => {
-                const rect = heroSection.getBoundingClientRect();
-                this.mouseX = (e.clientX - rect.left - rect.width / 2) / rect.width;
-                this.mouseY = (e.clientY - rect.top - rect.height / 2) / rect.height;
-            };
+            this.disposables.add(frames.add(this.task, {
+                element: this.heroSection || this.heroPhoto,
+                scroll: true,
+                motion: true
+            }));
             
-            const animate = () => {
-                this.currentX = utils.lerp(this.currentX, this.mouseX * 10, 0.1);
-                this.currentY = utils.lerp(this.currentY, this.mouseY * 10, 0.1);
-                
-                requestAnimationFrame(animate);
-                this.updateTransforms();
-            };
+            if (this.heroSection) {
+                this.disposables.listen(this.heroSection, 'mousemove', (e) => {
+                    this.pointer = { x: e.clientX, y: e.clientY };
+                    frames.request(this.task);
+                });
+            }
             
-            heroSection.addEventListener('mousemove', utils.throttle(handleMouseMove, 16));
-            animate();
+            // Reduced motion switched on mid-visit - settle the photo and headline where they belong
+            this.disposables.add(events.on('motion:change', ({ reduced }) => {
+                if (reduced) this.resetTransforms();
+            }));
+        }
+        
+        resetTransforms() {
+            this.currentX = 0;
+            this.currentY = 0;
+            this.mouseX = 0;
+            this.mouseY = 0;
+            [this.heroPhoto, this.heroHeadline].forEach(element => element.style.removeProperty('transform'));
         }
         
         updateTransforms() {
+            // Transforms have no logical equivalent, so mirror the inline axis by hand in RTL layouts
+            const inline = utils.isRTL() ? -1 : 1;
+            
             // Fixed transform bug: compute single transform string each frame
             if (this.heroPhoto && this.scrollY < windowHeight) {
                 const parallaxY = utils.clamp(this.scrollY * 0.5, 0, 100);
-                const mouseOffsetX = utils.clamp(this.currentX, -18, 18);
+                const mouseOffsetX = utils.clamp(this.currentX, -18, 18) * inline;
                 const mouseOffsetY = utils.clamp(this.currentY, -18, 18);
                 const scale = utils.clamp(1 + this.scrollY * 0.0002, 1, 1.02);
                 
@@ -148,7 +849,7 @@
             }
             
             if (this.heroHeadline) {
-                const mouseOffsetX = utils.clamp(this.currentX * 0.5, -18, 18);
+                const mouseOffsetX = utils.clamp(this.currentX * 0.5, -18, 18) * inline;
                 const mouseOffsetY = utils.clamp(this.currentY * 0.5, -18, 18);
                 
                 // Single transform assignment - no accumulation
@@ -171,16 +872,35 @@
                 element.style.opacity = '0';
                 element.style.transform = 'translateY(40px)';
                 
-                setTimeout(() => {
+                this.disposables.timeout(() => {
                     element.style.transition = 'opacity 0.8s cubic-bezier(0.16, 1, 0.3, 1), transform 0.8s cubic-bezier(0.16, 1, 0.3, 1)';
                     element.style.opacity = '1';
                     element.style.transform = 'translateY(0)';
                 }, delay);
             });
         }
+        
+        destroy() {
+            this.disposables.dispose();
+            
+            // Hand the elements back as the markup had them, whatever frame we stopped on
+            [this.heroHeadline, document.querySelector('.hero-sub'), document.querySelector('.hero-actions'), this.heroPhoto]
+                .filter(Boolean)
+                .forEach(element => {
+                    element.style.removeProperty('opacity');
+                    element.style.removeProperty('transform');
+                    element.style.removeProperty('transition');
+                });
+            
+            this.mouseX = this.mouseY = this.currentX = this.currentY = 0;
+            this.pointer = null;
+        }
     }
     
     // Navigation Scroll Behavior with Dynamic Offset
+    // Shows on the way down the page, marks the section in view (aria-current on its .nav-link), fills a
+    // reading-progress bar and folds the links into a disclosure menu on small screens. In-page links
+    // scroll smoothly and push a history entry, so back/forward return to each position.
     class NavigationController {
         constructor() {
             this.navbar = elements.navbar;
@@ -188,6 +908,15 @@
             this.lastScrollY = 0;
             this.scrollThreshold = 100;
             this.hasFocus = false;
+            this.links = [];
+            this.activeLink = null;
+            this.nextActive = null;
+            this.progressBar = null;
+            this.progress = 0;
+            this.menuToggle = null;
+            this.menu = null;
+            this.releaseEscape = null;
+            this.disposables = new Disposables();
             
             this.init();
         }
@@ -198,94 +927,433 @@
             this.setupScrollBehavior();
             this.setupSmoothScrolling();
             this.setupFocusTracking();
+            this.setupScrollSpy();
+            this.setupMenu();
+            this.setupHistory();
         }
         
         setupFocusTracking() {
-            // Track if navigation has focus to prevent hiding
-            const navElements = this.navbar.querySelectorAll('button, a, input, [tabindex]');
-            navElements.forEach(el => {
-                el.addEventListener('focus', () => { this.hasFocus = true; });
-                el.addEventListener('blur', () => { this.hasFocus = false; });
-            });
+            // Track if navigation has focus to prevent hiding - focusin/focusout bubble, so
+            // controls injected into the navbar later are covered too
+            this.disposables.listen(this.navbar, 'focusin', () => { this.hasFocus = true; });
+            this.disposables.listen(this.navbar, 'focusout', () => { this.hasFocus = false; });
         }
         
         setupScrollBehavior() {
-            const handleScroll = utils.throttle(() => {
-                const currentScrollY = window.pageYOffset;
-                const scrollingDown = currentScrollY > this.lastScrollY;
-                const beyondThreshold = currentScrollY > this.scrollThreshold;
-                
-                if (beyondThreshold && scrollingDown && this.isHidden && !this.hasFocus) {
-                    this.show();
-                } else if ((!beyondThreshold || !scrollingDown) && !this.isHidden) {
-                    this.hide();
+            // The scheduler reads the scroll position once per frame for every scroll task
+            const task = {
+                write: ({ scrollY }) => {
+                    const scrollingDown = scrollY > this.lastScrollY;
+                    const beyondThreshold = scrollY > this.scrollThreshold;
+                    
+                    if (beyondThreshold && scrollingDown && this.isHidden && !this.hasFocus) {
+                        this.show();
+                    } else if ((!beyondThreshold || !scrollingDown) && !this.isHidden) {
+                        this.hide();
+                    }
+                    
+                    this.lastScrollY = scrollY;
                 }
-                
-                this.lastScrollY = currentScrollY;
-            }, 16);
+            };
             
-            window.addEventListener('scroll', handleScroll, { passive: true });
+            this.disposables.add(frames.add(task, { scroll: true }));
         }
         
         show() {
             if (!this.navbar || !this.isHidden) return;
             this.navbar.classList.remove('hidden');
+            this.navbar.classList.add('visible');
             this.isHidden = false;
         }
         
         hide() {
-            if (!this.navbar || this.isHidden || this.hasFocus) return;
+            if (!this.navbar || this.isHidden || this.hasFocus || this.isMenuOpen()) return;
             this.navbar.classList.add('hidden');
+            this.navbar.classList.remove('visible');
             this.isHidden = true;
         }
         
+        // "#pricing" -> the element it names, or null for "#", "#!" and anything else that isn't one
+        findTarget(href) {
+            if (!href || href === '#') return null;
+            
+            try {
+                return document.querySelector(href);
+            } catch (error) {
+                // Not a usable selector (e.g. "#!")
+                return null;
+            }
+        }
+        
         setupSmoothScrolling() {
-            document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-                anchor.addEventListener('click', (e) => {
-                    const href = anchor.getAttribute('href');
-                    if (href === '#') return;
-                    
-                    const target = document.querySelector(href);
-                    if (!target) return;
-                    
-                    e.preventDefault();
-                    
-                    // Compute navbar height dynamically
-                    const navHeight = this.navbar ? this.navbar.offsetHeight : 0;
-                    const targetTop = target.getBoundingClientRect().top + window.pageYOffset - navHeight - 20;
-                    
-                    window.scrollTo({
-                        top: Math.max(0, targetTop),
-                        behavior: 'smooth'
-                    });
-                });
+            // Delegated so in-page links in swapped-in sections scroll the same way
+            this.disposables.listen(document, 'click', (e) => {
+                const anchor = e.target.closest('a[href^="#"]');
+                if (!anchor) return;
+                
+                const href = anchor.getAttribute('href');
+                const target = this.findTarget(href);
+                if (!target) return;
+                
+                e.preventDefault();
+                if (this.menu && this.menu.contains(anchor)) this.closeMenu();
+                
+                events.emit('nav:anchor-click', { href, cta: anchor.dataset.cta || null });
+                
+                // Read where we are before scrolling - an instant (reduced-motion) scroll moves it at once
+                const from = window.pageYOffset;
+                this.pushHistory(href, from, utils.scrollToElement(target));
             });
         }
-    }
-    
-    // FAQ Accessible Accordion System
-    class FAQController {
-        constructor() {
-            this.faqItems = elements.faqItems;
-            this.activeItem = null;
-            
-            this.init();
-        }
         
-        init() {
-            if (!this.faqItems.length) return;
+        // The hash changes without the jump; the entry we leave remembers where the visitor was
+        pushHistory(href, from, top) {
+            if (!window.history || !window.history.pushState) return;
+            
+            const state = window.history.state || {};
+            window.history.replaceState(Object.assign({}, state, { navScrollY: from }), '');
             
-            this.faqItems.forEach((item, index) => this.setupFAQItem(item, index));
+            const url = new URL(window.location.href);
+            url.hash = href;
+            window.history.pushState({ navScrollY: top }, '', url);
         }
         
-        setupFAQItem(item, index) {
-            const question = item.querySelector('.faq-question');
+        setupHistory() {
+            this.disposables.listen(window, 'popstate', (e) => {
+                // Lead capture's back guard: the visitor hasn't moved, so neither does the page
+                if (e.state && e.state.leadCaptureBase) return;
+                
+                const top = e.state && e.state.navScrollY;
+                
+                if (typeof top === 'number') {
+                    window.scrollTo({ top, behavior: frames.reducedMotion ? 'auto' : 'smooth' });
+                    return;
+                }
+                
+                // An entry we didn't push (a typed or external hash) - go to whatever it names
+                const target = this.findTarget(window.location.hash);
+                if (target) utils.scrollToElement(target);
+            });
+        }
+        
+        setupScrollSpy() {
+            this.links = Array.from(this.navbar.querySelectorAll('.nav-link[href^="#"]'))
+                .map(link => ({ link, section: this.findTarget(link.getAttribute('href')) }))
+                .filter(({ section }) => section);
+            this.progressBar = this.navbar.querySelector('[data-nav-progress]');
+            
+            if (!this.links.length && !this.progressBar) return;
+            
+            // Measure every section in the read phase, touch the links and bar in the write phase
+            const task = {
+                read: () => {
+                    const offset = this.navbar.offsetHeight + 40;
+                    const active = this.links.filter(({ section }) => {
+                        const rect = section.getBoundingClientRect();
+                        return rect.top <= offset && rect.bottom > offset;
+                    }).pop();
+                    
+                    this.nextActive = active ? active.link : null;
+                    this.progress = utils.clamp(utils.getScrollProgress() || 0, 0, 1);
+                },
+                write: () => {
+                    this.setActiveLink(this.nextActive);
+                    if (this.progressBar) this.progressBar.style.transform = `scaleX(${this.progress})`;
+                }
+            };
+            
+            this.disposables.add(frames.add(task, { scroll: true }));
+            this.disposables.listen(window, 'resize', () => frames.request(task), { passive: true });
+            frames.request(task);
+        }
+        
+        setActiveLink(link) {
+            if (link === this.activeLink) return;
+            
+            if (this.activeLink) this.activeLink.removeAttribute('aria-current');
+            if (link) link.setAttribute('aria-current', 'location');
+            this.activeLink = link;
+            
+            if (link) events.emit('nav:section', { section: link.getAttribute('href').slice(1) });
+        }
+        
+        setupMenu() {
+            this.menuToggle = this.navbar.querySelector('[data-nav-toggle]');
+            this.menu = this.menuToggle && document.getElementById(this.menuToggle.getAttribute('aria-controls'));
+            if (!this.menu) return;
+            
+            this.disposables.listen(this.menuToggle, 'click', () => {
+                if (this.isMenuOpen()) {
+                    this.closeMenu();
+                } else {
+                    this.openMenu();
+                }
+            });
+            
+            // A click anywhere outside the navbar folds the menu away
+            this.disposables.listen(document, 'click', (e) => {
+                if (this.isMenuOpen() && !this.navbar.contains(e.target)) this.closeMenu({ restoreFocus: false });
+            });
+            
+            this.disposables.add(() => this.closeMenu({ restoreFocus: false }));
+        }
+        
+        isMenuOpen() {
+            return Boolean(this.menuToggle) && this.menuToggle.getAttribute('aria-expanded') === 'true';
+        }
+        
+        openMenu() {
+            this.menuToggle.setAttribute('aria-expanded', 'true');
+            this.menu.classList.add('open');
+            
+            const accessibility = window.ArmanLeadsApp?.getController('accessibility');
+            if (accessibility) this.releaseEscape = accessibility.pushEscapeHandler(() => this.closeMenu());
+        }
+        
+        closeMenu({ restoreFocus = true } = {}) {
+            if (!this.isMenuOpen()) return;
+            
+            this.menuToggle.setAttribute('aria-expanded', 'false');
+            this.menu.classList.remove('open');
+            
+            if (this.releaseEscape) this.releaseEscape();
+            this.releaseEscape = null;
+            
+            if (restoreFocus) this.menuToggle.focus();
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            if (this.navbar) this.navbar.classList.remove('hidden', 'visible');
+            this.setActiveLink(null);
+            if (this.progressBar) this.progressBar.style.removeProperty('transform');
+            this.isHidden = true;
+            this.hasFocus = false;
+        }
+    }
+    
+    // Mobile Action Bar
+    // Keeps "Free Audit" and "Book a Call" within thumb reach on small screens (the CSS only shows it there).
+    // It docks once the hero has scrolled away and steps aside while #auditForm or the #call card is on
+    // screen, while the on-screen keyboard is up and while the consent banner holds the bottom edge. The
+    // audit action follows the visit: resuming a form in progress, or joining the waitlist when slots run out.
+    class ActionBarController {
+        constructor() {
+            this.bar = elements.actionBar;
+            this.auditAction = null;
+            this.visible = null;
+            this.heroInView = Boolean(elements.heroSection);
+            this.inView = new Set();
+            this.typing = false;
+            this.keyboardOpen = false;
+            this.formStarted = false;
+            this.waitlist = false;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.bar) return;
+            
+            this.auditAction = this.bar.querySelector('[data-action-bar-audit]');
+            this.bar.hidden = false;
+            this.setState(false);
+            
+            this.watchSections();
+            this.watchKeyboard();
+            this.watchContext();
+            this.update();
+        }
+        
+        // The hero has its own buttons, and the form and call card are where the bar's buttons lead
+        watchSections() {
+            const blockers = [elements.form, document.getElementById('call')].filter(Boolean);
+            if (!('IntersectionObserver' in window)) {
+                this.heroInView = false;
+                return;
+            }
+            
+            const observer = this.disposables.observe(new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.target === elements.heroSection) {
+                        this.heroInView = entry.isIntersecting;
+                    } else if (entry.isIntersecting) {
+                        this.inView.add(entry.target);
+                    } else {
+                        this.inView.delete(entry.target);
+                    }
+                });
+                this.update();
+            }));
+            
+            if (elements.heroSection) observer.observe(elements.heroSection);
+            blockers.forEach(element => observer.observe(element));
+        }
+        
+        // A focused text field is the dependable sign of a keyboard; iOS also shrinks the visual viewport
+        // without touching the layout one, which catches a keyboard left up after focus moved on
+        watchKeyboard() {
+            const textField = 'input:not([type="checkbox"]):not([type="radio"]):not([type="button"]):not([type="submit"]), textarea, select, [contenteditable="true"]';
+            
+            this.disposables.listen(document, 'focusin', (e) => {
+                this.typing = Boolean(e.target.matches && e.target.matches(textField));
+                this.update();
+            });
+            this.disposables.listen(document, 'focusout', () => {
+                this.typing = false;
+                this.update();
+            });
+            
+            const viewport = window.visualViewport;
+            if (!viewport) return;
+            
+            this.disposables.listen(viewport, 'resize', () => {
+                this.keyboardOpen = viewport.height < window.innerHeight * 0.75;
+                this.update();
+            });
+        }
+        
+        watchContext() {
+            const offer = window.ArmanLeadsApp?.getController('offer');
+            const offerState = offer ? offer.getState() : null;
+            this.waitlist = Boolean(offerState) && offerState.mode === 'waitlist';
+            
+            this.disposables.add(events.on('offer:change', ({ mode }) => {
+                this.waitlist = mode === 'waitlist';
+                this.renderAuditAction();
+            }));
+            
+            // Past the first step, or with a saved draft waiting, the audit is under way
+            const ours = form => Boolean(elements.form) && form === elements.form.id;
+            this.disposables.add(events.on('form:step', ({ form, index }) => {
+                if (ours(form) && index > 0) this.setFormStarted(true);
+            }));
+            this.disposables.add(events.on('form:draft', ({ form, action }) => {
+                if (ours(form)) this.setFormStarted(action === 'offer' || action === 'restore');
+            }));
+            this.disposables.add(events.on('form:submit', ({ form, state }) => {
+                if (ours(form) && state !== 'failed') this.setFormStarted(false);
+            }));
+            
+            this.disposables.add(events.on('consent:change', () => this.update()));
+            this.renderAuditAction();
+        }
+        
+        setFormStarted(started) {
+            this.formStarted = started;
+            this.renderAuditAction();
+        }
+        
+        renderAuditAction() {
+            if (!this.auditAction) return;
+            
+            const key = this.waitlist ? 'actionBar.waitlist' : this.formStarted ? 'actionBar.resume' : 'actionBar.audit';
+            if (this.auditAction.dataset.i18n === key) return;
+            
+            this.auditAction.dataset.i18n = key;
+            const i18nController = window.ArmanLeadsApp?.getController('i18n');
+            if (i18nController) {
+                i18nController.translate(this.auditAction);
+            } else {
+                utils.setText(this.auditAction, i18n.t(key));
+            }
+        }
+        
+        update() {
+            const banner = document.getElementById('consent-banner');
+            const bannerOpen = Boolean(banner) && !banner.hidden;
+            
+            this.setState(!this.heroInView && !this.inView.size && !this.typing && !this.keyboardOpen && !bannerOpen);
+        }
+        
+        // Hidden, the bar stays in the layout to slide in and out, but out of reach of focus and screen readers.
+        // Its height is reserved at the end of the page so nothing ends up underneath it.
+        setState(visible) {
+            if (visible === this.visible) return;
+            this.visible = visible;
+            
+            this.bar.classList.toggle('is-visible', visible);
+            this.bar.setAttribute('aria-hidden', String(!visible));
+            this.bar.toggleAttribute('inert', !visible);
+            document.body.classList.toggle('has-action-bar', visible);
+            document.documentElement.style.setProperty('--action-bar-height', `${visible ? this.bar.offsetHeight : 0}px`);
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            if (!this.bar) return;
+            
+            this.setState(false);
+            this.bar.hidden = true;
+            document.documentElement.style.removeProperty('--action-bar-height');
+        }
+    }
+    
+    // FAQ Accessible Accordion System
+    // Items are deep-linkable by id (#faq-contracts, or a question/answer id) and open one at a time
+    // unless an ancestor has data-faq-mode="multiple". The section's [data-faq-search] box filters them.
+    class FAQController {
+        constructor(host) {
+            this.host = host || document.querySelector('.faq') || document.body;
+            this.selector = '.faq-item';
+            this.faqItems = [];
+            this.itemDisposables = new Map();
+            this.itemCount = 0;
+            this.activeItem = null;
+            this.query = '';
+            this.highlights = [];
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            this.scan(document);
+            this.setupSearch();
+            this.setupDeepLinks();
+            
+            // Rendered copy changed, so the filter and highlights follow it
+            this.disposables.add(events.on('locale:change', () => this.refreshLanguage()));
+        }
+        
+        // Public API: pick up items under root, whether present at load or injected later
+        scan(root) {
+            const added = utils.queryAll(root, this.selector).filter(item => {
+                if (this.itemDisposables.has(item)) return false;
+                this.setupFAQItem(item, this.itemCount++);
+                return true;
+            });
+            
+            if (!added.length) return;
+            if (this.query) this.filter(this.query);
+        }
+        
+        // Public API: forget items under a root that left the page
+        release(root) {
+            utils.queryAll(root, this.selector).forEach(item => {
+                const disposables = this.itemDisposables.get(item);
+                if (!disposables) return;
+                
+                disposables.dispose();
+                this.itemDisposables.delete(item);
+                this.faqItems = this.faqItems.filter(registered => registered !== item);
+                if (this.activeItem === item) this.activeItem = null;
+            });
+        }
+        
+        setupFAQItem(item, index) {
+            const question = item.querySelector('.faq-question');
             const answer = item.querySelector('.faq-answer');
             
             if (!question || !answer) return;
             
-            // Set up ARIA attributes
-            const answerId = `faq-answer-${index + 1}`;
+            const disposables = new Disposables();
+            this.faqItems.push(item);
+            this.itemDisposables.set(item, disposables);
+            
+            // Set up ARIA attributes - injected markup may bring its own id, keep it for links
+            const answerId = answer.id || `faq-answer-${index + 1}`;
             answer.id = answerId;
             answer.setAttribute('role', 'region');
             question.setAttribute('aria-controls', answerId);
@@ -295,8 +1363,8 @@
             answer.setAttribute('tabindex', '-1');
             
             // Event listeners
-            question.addEventListener('click', () => this.toggleFAQ(item));
-            question.addEventListener('keydown', (e) => {
+            disposables.listen(question, 'click', () => this.toggleFAQ(item));
+            disposables.listen(question, 'keydown', (e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
                     e.preventDefault();
                     this.toggleFAQ(item);
@@ -304,26 +1372,38 @@
             });
         }
         
+        isOpen(item) {
+            const question = item.querySelector('.faq-question');
+            return Boolean(question) && question.getAttribute('aria-expanded') === 'true';
+        }
+        
+        isMultiple(item) {
+            const container = item.closest('[data-faq-mode]');
+            return Boolean(container) && container.dataset.faqMode === 'multiple';
+        }
+        
         toggleFAQ(targetItem) {
-            const isCurrentlyActive = this.activeItem === targetItem;
+            const wasOpen = this.isOpen(targetItem);
             
-            // Close all items
-            this.faqItems.forEach(item => {
-                if (item !== targetItem || isCurrentlyActive) {
-                    this.closeFAQ(item);
-                }
-            });
+            // Single mode closes everything else; multiple mode leaves other items alone
+            if (!this.isMultiple(targetItem)) {
+                this.faqItems.forEach(item => {
+                    if (item !== targetItem) this.closeFAQ(item);
+                });
+            }
             
-            // Open target item if it wasn't active
-            if (!isCurrentlyActive) {
+            if (wasOpen) {
+                this.closeFAQ(targetItem);
+                if (this.activeItem === targetItem) this.activeItem = null;
+            } else {
                 this.openFAQ(targetItem);
                 this.activeItem = targetItem;
-            } else {
-                this.activeItem = null;
             }
+            
+            this.updateHash(targetItem, !wasOpen);
         }
         
-        openFAQ(item) {
+        openFAQ(item, { focusAnswer = true } = {}) {
             const question = item.querySelector('.faq-question');
             const answer = item.querySelector('.faq-answer');
             
@@ -334,8 +1414,15 @@
             answer.classList.add('open');
             answer.removeAttribute('hidden');
             
+            events.emit('faq:open', {
+                id: question.id || answer.id,
+                question: question.textContent.trim()
+            });
+            
+            if (!focusAnswer) return;
+            
             // Focus management - move focus to answer content
-            setTimeout(() => {
+            this.disposables.timeout(() => {
                 answer.focus({ preventScroll: true });
             }, 300);
         }
@@ -351,123 +1438,778 @@
             answer.classList.remove('open');
             answer.setAttribute('hidden', '');
         }
-    }
-    
-    // Robust Lazy Loading with Fallback
-    class LazyLoadController {
-        constructor() {
-            this.lazyImages = elements.lazyImages;
-            this.imageObserver = null;
+        
+        setupDeepLinks() {
+            // In-page links are scrolled by NavigationController, which keeps the hash out of the URL
+            this.disposables.add(events.on('nav:anchor-click', ({ href }) => {
+                const item = this.findItem(href);
+                if (item) this.reveal(item, { scroll: false });
+            }));
             
-            this.init();
+            this.disposables.listen(window, 'hashchange', () => {
+                const item = this.findItem(window.location.hash);
+                if (item) this.reveal(item);
+            });
+            
+            const initial = this.findItem(window.location.hash);
+            if (initial) this.reveal(initial);
         }
         
-        init() {
-            if (!this.lazyImages.length) return;
+        getHash(item) {
+            const question = item.querySelector('.faq-question');
+            return item.id || (question && question.id) || '';
+        }
+        
+        // Accepts "#faq-contracts" style hashes naming the item, its question or its answer
+        findItem(hash) {
+            if (!hash || hash.length < 2) return null;
             
-            // Use IntersectionObserver if available, otherwise load immediately
-            if ('IntersectionObserver' in window) {
-                this.setupIntersectionObserver();
-            } else {
-                // Fallback: load all images immediately
-                this.lazyImages.forEach(img => this.loadImage(img));
+            let id = hash.slice(1);
+            try {
+                id = decodeURIComponent(id);
+            } catch (error) {
+                // Malformed escape - try the raw hash
             }
+            
+            const target = document.getElementById(id);
+            const item = target && target.closest(this.selector);
+            return item && this.itemDisposables.has(item) ? item : null;
         }
         
-        setupIntersectionObserver() {
-            const options = {
-                threshold: 0,
-                rootMargin: '50px 0px'
-            };
+        // Public API: open an item, bring it into view and focus its question
+        reveal(item, { scroll = true } = {}) {
+            if (!this.itemDisposables.has(item)) return;
             
-            this.imageObserver = new IntersectionObserver((entries) => {
-                entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                        this.loadImage(entry.target);
-                        this.imageObserver.unobserve(entry.target);
-                    }
+            // A deep link wins over a filter that would hide its target
+            if (item.hidden) this.clearSearch();
+            
+            if (!this.isMultiple(item)) {
+                this.faqItems.forEach(other => {
+                    if (other !== item) this.closeFAQ(other);
                 });
-            }, options);
+            }
+            if (!this.isOpen(item)) this.openFAQ(item, { focusAnswer: false });
+            this.activeItem = item;
+            this.updateHash(item, true);
+            
+            if (scroll) utils.scrollToElement(item);
             
-            this.lazyImages.forEach(img => this.imageObserver.observe(img));
+            const question = item.querySelector('.faq-question');
+            if (question) question.focus({ preventScroll: true });
         }
         
-        loadImage(img) {
-            // Don't interfere with native loading="lazy" 
-            if (img.loading === 'lazy' && !img.dataset.src && !img.dataset.srcset) {
+        // Replace rather than push - toggling answers shouldn't fill the back button
+        updateHash(item, open) {
+            if (!window.history || !window.history.replaceState) return;
+            
+            const hash = this.getHash(item);
+            if (!hash) return;
+            
+            const url = new URL(window.location.href);
+            if (open) {
+                url.hash = hash;
+            } else if (this.findItem(url.hash) === item) {
+                url.hash = '';
+            } else {
                 return;
             }
             
-            const loadHandler = () => {
-                img.style.opacity = '1';
-                img.classList.add('loaded');
-            };
+            window.history.replaceState(window.history.state, '', url);
+        }
+        
+        setupSearch() {
+            this.searchInput = this.host.querySelector('[data-faq-search]');
+            this.searchStatus = this.host.querySelector('[data-faq-search-status]');
+            this.emptyState = this.host.querySelector('[data-faq-empty]');
             
-            const errorHandler = () => {
-                console.warn('Image failed to load:', img.src || img.dataset.src);
-            };
+            if (!this.searchInput) return;
             
-            img.addEventListener('load', loadHandler, { once: true });
-            img.addEventListener('error', errorHandler, { once: true });
+            const handleInput = utils.debounce(() => {
+                const results = this.filter(this.searchInput.value);
+                // Counts only - the query is whatever the visitor typed
+                if (this.query) events.emit('faq:search', { terms: this.getTerms(this.query).length, results });
+            }, 150);
+            this.disposables.listen(this.searchInput, 'input', handleInput);
+            this.disposables.listen(this.searchInput, 'keydown', (e) => {
+                // Escape clears the query first instead of also closing the open answer
+                if (e.key === 'Escape' && this.searchInput.value) {
+                    e.stopPropagation();
+                    this.clearSearch();
+                }
+            });
             
-            // Apply fade-in effect
-            img.style.opacity = '0';
-            img.style.transition = 'opacity 0.5s cubic-bezier(0.4, 0, 0.2, 1)';
+            if (this.emptyState) {
+                const ask = this.emptyState.querySelector('[data-faq-ask]');
+                if (ask) this.disposables.listen(ask, 'click', () => this.askQuestion());
+            }
+        }
+        
+        getTerms(query) {
+            return query.trim().split(/\s+/).filter(Boolean)
+                .sort((a, b) => b.length - a.length);
+        }
+        
+        getPattern(terms, flags) {
+            const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            return new RegExp(escaped.join('|'), flags);
+        }
+        
+        // Public API: show only items whose question or answer contains every word of the query
+        filter(query) {
+            this.query = query.trim();
+            this.clearHighlights();
             
-            // Set src and srcset from data attributes
-            if (img.dataset.src) {
-                img.src = img.dataset.src;
-                delete img.dataset.src;
+            const terms = this.getTerms(this.query);
+            const patterns = terms.map(term => this.getPattern([term], 'iu'));
+            let matches = 0;
+            
+            this.faqItems.forEach(item => {
+                const text = item.textContent;
+                const match = patterns.every(pattern => pattern.test(text));
+                
+                item.hidden = !match;
+                if (!match) return;
+                
+                matches++;
+                if (terms.length) this.highlight(item, this.getPattern(terms, 'giu'));
+            });
+            
+            if (this.emptyState) this.emptyState.hidden = matches > 0;
+            if (this.searchStatus) {
+                this.searchStatus.textContent = terms.length ? i18n.t('faq.search.results', { count: matches }) : '';
             }
             
-            if (img.dataset.srcset) {
-                img.srcset = img.dataset.srcset;
-                delete img.dataset.srcset;
+            return matches;
+        }
+        
+        clearSearch() {
+            if (this.searchInput) this.searchInput.value = '';
+            this.filter('');
+        }
+        
+        highlight(item, pattern) {
+            const walker = document.createTreeWalker(item, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => node.textContent.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT
+            });
+            const nodes = [];
+            while (walker.nextNode()) nodes.push(walker.currentNode);
+            
+            nodes.forEach(node => {
+                const text = node.textContent;
+                const fragment = document.createDocumentFragment();
+                let lastIndex = 0;
+                
+                text.replace(pattern, (match, offset) => {
+                    fragment.appendChild(document.createTextNode(text.slice(lastIndex, offset)));
+                    
+                    const mark = document.createElement('mark');
+                    mark.className = 'faq-highlight';
+                    mark.textContent = match;
+                    fragment.appendChild(mark);
+                    this.highlights.push(mark);
+                    
+                    lastIndex = offset + match.length;
+                    return match;
+                });
+                
+                if (!lastIndex) return;
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+                node.parentNode.replaceChild(fragment, node);
+            });
+        }
+        
+        // Returns the elements that held highlights, with their text nodes merged back together
+        clearHighlights() {
+            const parents = new Set();
+            
+            this.highlights.forEach(mark => {
+                const parent = mark.parentNode;
+                if (!parent) return;
+                
+                parent.replaceChild(document.createTextNode(mark.textContent), mark);
+                parents.add(parent);
+            });
+            
+            parents.forEach(parent => parent.normalize());
+            this.highlights = [];
+            return Array.from(parents);
+        }
+        
+        // "No results" hands the question to the audit form; the link itself scrolls there
+        askQuestion() {
+            const formController = window.ArmanLeadsApp?.getController('form');
+            if (formController && this.query) {
+                formController.prefill({ notes: this.query });
             }
             
-            // Handle picture element sources
-            const picture = img.closest('picture');
-            if (picture) {
-                const sources = picture.querySelectorAll('source[data-srcset]');
-                sources.forEach(source => {
-                    if (source.dataset.srcset) {
-                        source.srcset = source.dataset.srcset;
-                        delete source.dataset.srcset;
-                    }
+            events.emit('faq:ask', { terms: this.getTerms(this.query).length });
+        }
+        
+        refreshLanguage() {
+            // I18nController rewrote the first text node of each translated element, which splits
+            // around any highlight - merge the pieces and translate the whole text again
+            const highlighted = this.clearHighlights();
+            const i18nController = window.ArmanLeadsApp?.getController('i18n');
+            
+            if (i18nController) {
+                highlighted.forEach(element => {
+                    const translated = element.closest('[data-i18n]');
+                    if (translated) i18nController.translate(translated);
                 });
             }
+            
+            if (this.query) this.filter(this.query);
+        }
+        
+        destroy() {
+            this.clearHighlights();
+            this.faqItems.forEach(item => { item.hidden = false; });
+            if (this.emptyState) this.emptyState.hidden = true;
+            if (this.searchStatus) this.searchStatus.textContent = '';
+            
+            this.itemDisposables.forEach(disposables => disposables.dispose());
+            this.itemDisposables.clear();
+            this.disposables.dispose();
+            this.faqItems = [];
+            this.itemCount = 0;
+            this.activeItem = null;
+            this.query = '';
         }
     }
     
-    // Button Loading States and Double Submit Prevention
-    class ButtonController {
-        constructor() {
-            this.buttons = elements.buttons;
-            this.loadingButtons = new Set();
+    // Testimonial Carousel
+    // Slides are rendered from the JSON at the host's data-testimonials-src (config.testimonialsPath by
+    // default): { testimonials: [{ id, author, practice, city, before, after, rating, date, quote }] }, where
+    // before/after are new patients a month and quote is a string or { <locale>: text }. Follows the ARIA
+    // carousel pattern - slides are labelled groups, and the slide list is a polite live region whenever it
+    // isn't rotating on its own. Autoplay waits while the carousel is hovered or focused, never starts under
+    // reduced motion and stops for good once the visitor pauses it. The section stays hidden while the list
+    // is empty; data/testimonials-sample.json is made-up data for trying it locally.
+    // With config.reviewStructuredData on, ratings also become Review/AggregateRating JSON-LD. It is off
+    // because reviews a business publishes about itself don't qualify - only turn it on for real reviews
+    // collected by an independent source.
+    class TestimonialsController {
+        constructor(host) {
+            this.host = host || document.querySelector('.testimonials');
+            this.carousel = null;
+            this.track = null;
+            this.items = [];
+            this.slides = [];
+            this.dots = [];
+            this.index = 0;
+            this.rotating = false;
+            this.holds = new Set();
+            this.stopTimer = null;
+            this.structuredData = null;
+            this.disposables = new Disposables();
             
             this.init();
         }
         
         init() {
-            if (!this.buttons.length) return;
+            if (!this.host) return;
+            
+            this.carousel = this.host.querySelector('[data-carousel]');
+            this.track = this.host.querySelector('[data-carousel-track]');
+            this.dotList = this.host.querySelector('[data-carousel-dots]');
+            this.prevButton = this.host.querySelector('[data-carousel-prev]');
+            this.nextButton = this.host.querySelector('[data-carousel-next]');
+            this.playButton = this.host.querySelector('[data-carousel-play]');
+            if (!this.carousel || !this.track) return;
             
-            this.buttons.forEach(button => this.enhanceButton(button));
+            this.interval = parseInt(this.carousel.dataset.autoplay, 10) || 0;
+            this.rotating = this.interval > 0 && !frames.reducedMotion;
+            
+            this.setupControls();
+            this.setupPausing();
+            this.load();
+            
+            this.disposables.add(events.on('locale:change', () => this.render()));
+            this.disposables.add(events.on('motion:change', ({ reduced }) => {
+                if (reduced) this.setRotating(false);
+            }));
         }
         
-        enhanceButton(button) {
-            // Skip if already enhanced
+        load() {
+            const src = this.host.dataset.testimonialsSrc || config.testimonialsPath;
+            
+            return fetch(src, { headers: { 'Accept': 'application/json' }, credentials: 'same-origin' })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Testimonials request failed with ${response.status}`);
+                    return response.json();
+                })
+                .then(data => this.setItems(data && data.testimonials))
+                // The section stays hidden - no social proof beats a broken carousel
+                .catch(error => console.warn('Could not load testimonials:', error));
+        }
+        
+        setItems(items) {
+            this.items = (Array.isArray(items) ? items : []).filter(item => item && item.author && this.getQuote(item));
+            this.index = 0;
+            this.render();
+        }
+        
+        setupControls() {
+            if (this.prevButton) this.disposables.listen(this.prevButton, 'click', () => this.step(-1, 'button'));
+            if (this.nextButton) this.disposables.listen(this.nextButton, 'click', () => this.step(1, 'button'));
+            if (this.playButton) this.disposables.listen(this.playButton, 'click', () => this.setRotating(!this.rotating));
+            
+            if (this.dotList) {
+                this.disposables.listen(this.dotList, 'click', (e) => {
+                    const dot = e.target.closest('[data-slide]');
+                    if (dot) this.show(parseInt(dot.dataset.slide, 10), { method: 'dot' });
+                });
+            }
+            
+            this.disposables.listen(this.carousel, 'keydown', (e) => {
+                if (e.target.closest('input, textarea, select')) return;
+                
+                // Arrows follow the reading direction, so "forward" points left in RTL layouts
+                const forward = utils.isRTL() ? 'ArrowLeft' : 'ArrowRight';
+                const back = utils.isRTL() ? 'ArrowRight' : 'ArrowLeft';
+                const moves = {
+                    [forward]: () => this.step(1, 'key'),
+                    [back]: () => this.step(-1, 'key'),
+                    Home: () => this.show(0, { method: 'key' }),
+                    End: () => this.show(this.slides.length - 1, { method: 'key' })
+                };
+                
+                if (!moves[e.key] || this.slides.length < 2) return;
+                e.preventDefault();
+                moves[e.key]();
+            });
+            
+            const touch = window.ArmanLeadsApp?.getController('touch');
+            if (touch) {
+                this.disposables.add(touch.onSwipe(this.track, ({ direction }) => {
+                    // Content follows the finger: dragging it toward the start reveals the next slide
+                    const forward = utils.isRTL() ? 'right' : 'left';
+                    this.step(direction === forward ? 1 : -1, 'swipe');
+                }));
+            }
+        }
+        
+        // Hovering or focusing anywhere in the carousel holds the rotation until the visitor moves on
+        setupPausing() {
+            const hold = (reason, held) => {
+                if (held) this.holds.add(reason);
+                else this.holds.delete(reason);
+                this.schedule();
+            };
+            
+            this.disposables.listen(this.carousel, 'mouseenter', () => hold('hover', true));
+            this.disposables.listen(this.carousel, 'mouseleave', () => hold('hover', false));
+            this.disposables.listen(this.carousel, 'focusin', () => hold('focus', true));
+            this.disposables.listen(this.carousel, 'focusout', (e) => {
+                if (!this.carousel.contains(e.relatedTarget)) hold('focus', false);
+            });
+        }
+        
+        getQuote(item) {
+            // Plain strings are in the page's own language, like the rest of the source copy
+            if (typeof item.quote === 'string') return { text: item.quote, locale: config.defaultLocale };
+            if (!item.quote || typeof item.quote !== 'object') return null;
+            
+            const locale = [i18n.locale, config.defaultLocale].find(candidate => item.quote[candidate])
+                || Object.keys(item.quote).find(candidate => item.quote[candidate]);
+            return locale ? { text: item.quote[locale], locale } : null;
+        }
+        
+        render() {
+            this.track.textContent = '';
+            this.slides = this.items.map((item, index) => this.renderSlide(item, index));
+            this.slides.forEach(slide => this.track.appendChild(slide));
+            this.renderDots();
+            
+            this.host.hidden = !this.slides.length;
+            this.carousel.classList.toggle('is-single', this.slides.length < 2);
+            this.renderStructuredData();
+            this.show(Math.min(this.index, Math.max(this.slides.length - 1, 0)), { method: null });
+        }
+        
+        renderSlide(item, index) {
+            const create = (tag, className, text) => {
+                const element = document.createElement(tag);
+                if (className) element.className = className;
+                if (text !== undefined) element.textContent = text;
+                return element;
+            };
+            
+            const slide = create('figure', 'testimonial');
+            slide.id = `testimonial-${index + 1}`;
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', i18n.t('testimonials.slideRole'));
+            slide.setAttribute('aria-label', i18n.t('testimonials.slide', { index: index + 1, total: this.items.length }));
+            
+            const quote = this.getQuote(item);
+            const blockquote = create('blockquote', 'testimonial-quote');
+            blockquote.appendChild(create('p', null, quote.text));
+            // A quote shown in another language keeps its own lang for screen readers and hyphenation
+            if (quote.locale && quote.locale !== i18n.locale && locales[quote.locale]) {
+                blockquote.lang = locales[quote.locale].lang;
+                blockquote.dir = locales[quote.locale].dir;
+            }
+            slide.appendChild(blockquote);
+            
+            if (Number.isFinite(item.before) && Number.isFinite(item.after)) {
+                const results = create('dl', 'testimonial-results');
+                const stat = (label, value, modifier) => {
+                    const group = create('div', `testimonial-stat testimonial-stat--${modifier}`);
+                    group.appendChild(create('dt', null, label));
+                    group.appendChild(create('dd', null, value));
+                    results.appendChild(group);
+                };
+                
+                stat(i18n.t('testimonials.before'), i18n.formatNumber(item.before), 'before');
+                stat(i18n.t('testimonials.after'), i18n.formatNumber(item.after), 'after');
+                if (item.before > 0 && item.after > item.before) {
+                    stat(i18n.t('testimonials.growth'), i18n.t('testimonials.growthValue', { change: (item.after - item.before) / item.before }), 'growth');
+                }
+                
+                slide.appendChild(create('p', 'testimonial-metric', i18n.t('testimonials.metric')));
+                slide.appendChild(results);
+            }
+            
+            const caption = create('figcaption', 'testimonial-caption');
+            caption.appendChild(create('span', 'testimonial-author', item.author));
+            const place = [item.practice, item.city].filter(Boolean);
+            if (place.length) {
+                caption.appendChild(create('span', 'testimonial-practice', place.length > 1
+                    ? i18n.t('testimonials.location', { practice: item.practice, city: item.city })
+                    : place[0]));
+            }
+            if (Number.isFinite(item.rating)) {
+                const rating = create('span', 'testimonial-rating', '★'.repeat(Math.round(utils.clamp(item.rating, 0, 5))));
+                rating.setAttribute('role', 'img');
+                rating.setAttribute('aria-label', i18n.t('testimonials.rating', { rating: item.rating, max: 5 }));
+                caption.appendChild(rating);
+            }
+            slide.appendChild(caption);
+            
+            return slide;
+        }
+        
+        renderDots() {
+            if (!this.dotList) return;
+            
+            this.dotList.textContent = '';
+            this.dots = this.slides.length < 2 ? [] : this.slides.map((slide, index) => {
+                const dot = document.createElement('button');
+                dot.type = 'button';
+                dot.className = 'carousel-dot';
+                dot.dataset.slide = index;
+                dot.setAttribute('aria-controls', slide.id);
+                dot.setAttribute('aria-label', i18n.t('testimonials.goTo', { index: index + 1, author: this.items[index].author }));
+                this.dotList.appendChild(dot);
+                return dot;
+            });
+        }
+        
+        step(offset, method) {
+            if (!this.slides.length) return;
+            this.show((this.index + offset + this.slides.length) % this.slides.length, { method });
+        }
+        
+        // method is how the visitor got here (button, dot, key, swipe), 'auto' for rotation, null for a re-render
+        show(index, { method = null } = {}) {
+            if (!this.slides.length) {
+                this.schedule();
+                return;
+            }
+            
+            const changed = index !== this.index;
+            this.index = utils.clamp(index, 0, this.slides.length - 1);
+            
+            this.slides.forEach((slide, position) => {
+                slide.hidden = position !== this.index;
+                slide.classList.toggle('is-active', position === this.index);
+            });
+            this.dots.forEach((dot, position) => {
+                dot.setAttribute('aria-current', String(position === this.index));
+            });
+            
+            if (changed && method && method !== 'auto') {
+                events.emit('testimonials:navigate', { id: this.items[this.index].id || null, index: this.index, method });
+            }
+            
+            this.schedule();
+        }
+        
+        setRotating(rotating) {
+            this.rotating = rotating && this.interval > 0 && !frames.reducedMotion;
+            this.schedule();
+        }
+        
+        // One pending advance at most; the live region only speaks while nothing moves on its own
+        schedule() {
+            if (this.stopTimer) this.stopTimer();
+            this.stopTimer = null;
+            
+            const running = this.rotating && !this.holds.size && this.slides.length > 1;
+            this.track.setAttribute('aria-live', running ? 'off' : 'polite');
+            this.renderPlayButton();
+            
+            if (running) {
+                this.stopTimer = this.disposables.timeout(() => this.step(1, 'auto'), this.interval);
+            }
+        }
+        
+        renderPlayButton() {
+            if (!this.playButton) return;
+            
+            this.playButton.hidden = !this.interval || this.slides.length < 2;
+            this.playButton.classList.toggle('is-playing', this.rotating);
+            this.playButton.setAttribute('aria-label', i18n.t(this.rotating ? 'testimonials.stop' : 'testimonials.start'));
+        }
+        
+        // Reviews hang off the business declared in <head> - by @id once it has one, so both are one entity
+        getReviewSubject() {
+            const subject = { '@type': 'LocalBusiness', name: document.title };
+            
+            document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+                if (script === this.structuredData) return;
+                
+                try {
+                    const data = JSON.parse(script.textContent);
+                    [].concat(data['@graph'] || data).forEach(node => {
+                        if (node['@type'] === 'LocalBusiness') Object.assign(subject, { '@id': node['@id'], name: node.name, url: node.url });
+                    });
+                } catch (error) {
+                    // Someone else's malformed block - not ours to report
+                }
+            });
+            
+            return subject;
+        }
+        
+        renderStructuredData() {
+            if (!config.reviewStructuredData) {
+                this.removeStructuredData();
+                return;
+            }
+            
+            const reviews = this.items.filter(item => Number.isFinite(item.rating)).map(item => {
+                const review = {
+                    '@type': 'Review',
+                    author: { '@type': 'Person', name: item.author },
+                    reviewBody: this.getQuote(item).text,
+                    reviewRating: { '@type': 'Rating', ratingValue: item.rating, bestRating: 5, worstRating: 1 }
+                };
+                if (item.date) review.datePublished = item.date;
+                return review;
+            });
+            
+            if (!reviews.length) {
+                this.removeStructuredData();
+                return;
+            }
+            
+            if (!this.structuredData) {
+                this.structuredData = document.createElement('script');
+                this.structuredData.type = 'application/ld+json';
+                this.structuredData.id = 'testimonials-structured-data';
+                document.head.appendChild(this.structuredData);
+            }
+            
+            const total = reviews.reduce((sum, review) => sum + review.reviewRating.ratingValue, 0);
+            this.structuredData.textContent = JSON.stringify(Object.assign({ '@context': 'https://schema.org' }, this.getReviewSubject(), {
+                aggregateRating: {
+                    '@type': 'AggregateRating',
+                    ratingValue: Math.round(total / reviews.length * 10) / 10,
+                    reviewCount: reviews.length,
+                    bestRating: 5,
+                    worstRating: 1
+                },
+                review: reviews
+            }));
+        }
+        
+        removeStructuredData() {
+            if (this.structuredData) this.structuredData.remove();
+            this.structuredData = null;
+        }
+        
+        // Public API
+        getIndex() {
+            return this.index;
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            this.stopTimer = null;
+            this.holds.clear();
+            this.removeStructuredData();
+            
+            // Back to the markup as served - re-init fetches and renders again
+            if (this.track) this.track.textContent = '';
+            if (this.dotList) this.dotList.textContent = '';
+            if (this.host) this.host.hidden = true;
+            this.items = [];
+            this.slides = [];
+            this.dots = [];
+            this.index = 0;
+        }
+    }
+    
+    // Robust Lazy Loading with Fallback
+    class LazyLoadController {
+        constructor() {
+            this.selector = 'img[data-src], img[data-srcset]';
+            this.imageObserver = null;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            // Use IntersectionObserver if available, otherwise load immediately
+            if ('IntersectionObserver' in window) {
+                this.setupIntersectionObserver();
+            }
+            
+            this.scan(document);
+        }
+        
+        // Public API: pick up lazy images under root, whether present at load or injected later
+        scan(root) {
+            utils.queryAll(root, this.selector).forEach(img => {
+                if (this.imageObserver) {
+                    this.imageObserver.observe(img);
+                } else {
+                    // Fallback: load immediately
+                    this.loadImage(img);
+                }
+            });
+        }
+        
+        // Public API: stop watching images under a root that left the page
+        release(root) {
+            if (!this.imageObserver) return;
+            utils.queryAll(root, this.selector).forEach(img => this.imageObserver.unobserve(img));
+        }
+        
+        setupIntersectionObserver() {
+            const options = {
+                threshold: 0,
+                rootMargin: '50px 0px'
+            };
+            
+            this.imageObserver = this.disposables.observe(new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.loadImage(entry.target);
+                        this.imageObserver.unobserve(entry.target);
+                    }
+                });
+            }, options));
+        }
+        
+        loadImage(img) {
+            // Don't interfere with native loading="lazy" 
+            if (img.loading === 'lazy' && !img.dataset.src && !img.dataset.srcset) {
+                return;
+            }
+            
+            const loadHandler = () => {
+                img.style.opacity = '1';
+                img.classList.add('loaded');
+            };
+            
+            const errorHandler = () => {
+                console.warn('Image failed to load:', img.src || img.dataset.src);
+            };
+            
+            img.addEventListener('load', loadHandler, { once: true });
+            img.addEventListener('error', errorHandler, { once: true });
+            
+            // Apply fade-in effect
+            img.style.opacity = '0';
+            img.style.transition = 'opacity 0.5s cubic-bezier(0.4, 0, 0.2, 1)';
+            
+            // Set src and srcset from data attributes
+            if (img.dataset.src) {
+                img.src = img.dataset.src;
+                delete img.dataset.src;
+            }
+            
+            if (img.dataset.srcset) {
+                img.srcset = img.dataset.srcset;
+                delete img.dataset.srcset;
+            }
+            
+            // Handle picture element sources
+            const picture = img.closest('picture');
+            if (picture) {
+                const sources = picture.querySelectorAll('source[data-srcset]');
+                sources.forEach(source => {
+                    if (source.dataset.srcset) {
+                        source.srcset = source.dataset.srcset;
+                        delete source.dataset.srcset;
+                    }
+                });
+            }
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            this.imageObserver = null;
+        }
+    }
+    
+    // Button Loading States and Double Submit Prevention
+    class ButtonController {
+        constructor() {
+            this.selector = '.btn';
+            this.buttons = new Map();
+            this.loadingButtons = new Set();
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            this.scan(document);
+        }
+        
+        // Public API: enhance buttons under root, whether present at load or injected later
+        scan(root) {
+            utils.queryAll(root, this.selector).forEach(button => this.enhanceButton(button));
+        }
+        
+        // Public API: drop buttons under a root that left the page
+        release(root) {
+            utils.queryAll(root, this.selector).forEach(button => {
+                const removeListener = this.buttons.get(button);
+                if (removeListener) removeListener();
+                this.buttons.delete(button);
+                this.loadingButtons.delete(button);
+                delete button.dataset.enhanced;
+            });
+        }
+        
+        enhanceButton(button) {
+            // Skip if already enhanced
             if (button.dataset.enhanced) return;
             button.dataset.enhanced = 'true';
             
+            this.buttons.set(button, null);
+            
             // Add loading state for external links or submit buttons
             if (this.shouldAddLoadingState(button)) {
-                button.addEventListener('click', (e) => this.handleLoadingButton(e, button));
+                const handleClick = (e) => this.handleLoadingButton(e, button);
+                button.addEventListener('click', handleClick);
+                this.buttons.set(button, () => button.removeEventListener('click', handleClick));
             }
         }
         
         shouldAddLoadingState(button) {
-            // Add loading for submit buttons
-            if (button.type === 'submit') return true;
+            // Buttons whose owner shows its own progress opt out with data-loading="off" on them or a container
+            if (button.closest('[data-loading="off"]')) return false;
+            
+            // Add loading for submit buttons (lead forms manage their own state in FormController)
+            if (button.type === 'submit') {
+                return !(button.form && button.form.hasAttribute('data-endpoint'));
+            }
             
             // Add loading for external links or target="_blank"
             if (button.tagName === 'A') {
@@ -493,7 +2235,7 @@
             this.addLoadingState(button);
             
             // Remove loading state after navigation or timeout
-            setTimeout(() => {
+            this.disposables.timeout(() => {
                 this.removeLoadingState(button);
             }, 3000);
         }
@@ -505,7 +2247,7 @@
             
             const originalText = button.textContent;
             button.dataset.originalText = originalText;
-            button.textContent = 'Loading...';
+            button.textContent = i18n.t('button.loading');
         }
         
         removeLoadingState(button) {
@@ -518,416 +2260,5883 @@
                 delete button.dataset.originalText;
             }
         }
+        
+        destroy() {
+            this.disposables.dispose();
+            this.loadingButtons.forEach(button => this.removeLoadingState(button));
+            Array.from(this.buttons.keys()).forEach(button => this.release(button));
+        }
     }
     
-    // Intersection-based Fade-in Animation Controller
-    class ScrollAnimationController {
-        constructor() {
-            this.revealElements = document.querySelectorAll('.reveal-on-scroll, .fade-in');
-            this.countersAnimated = new Set();
-            this.revealObserver = null;
+    // Count-up Engine
+    // Splits a display figure ("310+", "$300-800", "$4.5k-20k+", "US$ ٤٫٥K-US$ ٢٠K+") into its numbers and
+    // the literal text around them, then counts every number up from zero together - so both ends of a
+    // range move - while currency symbols, decimals, grouping, k/M/B suffixes and the digit script stay as
+    // written. Per element: data-count-duration and data-count-delay (ms), data-count-easing (one of
+    // CountUp.easings) and data-count-locale (BCP 47 tag the figure is written in; defaults to the page's).
+    class CountUp {
+        constructor(element, { duration = 1500, delay = 0, easing = 'ease-out' } = {}) {
+            const { dataset } = element;
             
-            this.init();
+            this.element = element;
+            this.finalText = element.textContent;
+            this.duration = CountUp.readNumber(dataset.countDuration, duration);
+            this.delay = CountUp.readNumber(dataset.countDelay, delay);
+            this.easing = CountUp.easings[dataset.countEasing] || CountUp.easings[easing] || CountUp.easings['ease-out'];
+            this.locale = dataset.countLocale || i18n.intlLocale;
+            this.parts = this.parse(this.finalText);
+            this.removeTask = null;
+            this.timer = null;
+            this.frame = null;
+            this.lastFrame = '';
+            this.resolve = null;
         }
         
-        init() {
-            this.setupRevealAnimations();
-            this.setupCounterAnimations();
+        static readNumber(value, fallback) {
+            const number = parseFloat(value);
+            return Number.isFinite(number) && number >= 0 ? number : fallback;
         }
         
-        setupRevealAnimations() {
-            if (!this.revealElements.length) return;
-            
-            if ('IntersectionObserver' in window && !prefersReducedMotion) {
-                const options = {
-                    threshold: 0.1,
-                    rootMargin: '0px 0px -120px 0px'
-                };
-                
-                this.revealObserver = new IntersectionObserver((entries) => {
-                    entries.forEach(entry => {
-                        if (entry.isIntersecting) {
-                            this.animateElement(entry.target);
-                            this.revealObserver.unobserve(entry.target); // Unobserve after reveal
-                        }
-                    });
-                }, options);
-                
-                this.revealElements.forEach(el => this.revealObserver.observe(el));
-            } else {
-                // Fallback: show all elements immediately
-                this.revealElements.forEach(el => el.classList.add('visible'));
+        static toLatinDigits(text) {
+            return text.replace(/[\u0660-\u0669\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) & 0xF));
+        }
+        
+        getSeparators() {
+            try {
+                const parts = new Intl.NumberFormat(this.locale).formatToParts(12345.6);
+                const find = type => (parts.find(part => part.type === type) || {}).value;
+                return { group: find('group') || ',', decimal: find('decimal') || '.' };
+            } catch (error) {
+                return { group: ',', decimal: '.' };
             }
         }
         
-        animateElement(element) {
-            element.style.transition = 'opacity 0.8s cubic-bezier(0.4, 0, 0.2, 1), transform 0.8s cubic-bezier(0.4, 0, 0.2, 1)';
-            element.style.opacity = '1';
-            element.style.transform = 'translateY(0)';
-            element.classList.add('visible');
+        parse(text) {
+            const { group, decimal } = this.getSeparators();
+            const digit = '[0-9\\u0660-\\u0669\\u06F0-\\u06F9]';
+            const separators = `[${Array.from(new Set([group, decimal, '.', ','])).map(char => `\\${char}`).join('')}]`;
+            // A trailing k/M/B right after the digits is a magnitude suffix, not the start of a word
+            const pattern = new RegExp(`${digit}+(?:${separators}${digit}+)*(?:[kKmMbB](?![A-Za-z]))?`, 'g');
+            
+            const parts = [];
+            let lastIndex = 0;
+            let match;
+            
+            while ((match = pattern.exec(text)) !== null) {
+                if (match.index > lastIndex) parts.push(text.slice(lastIndex, match.index));
+                parts.push(this.parseNumber(match[0], { group, decimal }));
+                lastIndex = pattern.lastIndex;
+            }
+            
+            if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+            return parts;
         }
         
-        setupCounterAnimations() {
-            const statsContainer = document.querySelector('.urgency-stats');
-            if (!statsContainer || prefersReducedMotion) return;
+        parseNumber(raw, { group, decimal }) {
+            const suffix = /[kKmMbB]$/.test(raw) ? raw.slice(-1) : '';
+            let body = CountUp.toLatinDigits(suffix ? raw.slice(0, -1) : raw);
             
-            if ('IntersectionObserver' in window) {
-                const observer = new IntersectionObserver((entries) => {
-                    entries.forEach(entry => {
-                        if (entry.isIntersecting && !this.countersAnimated.has(entry.target)) {
-                            this.animateCounters(entry.target);
-                            this.countersAnimated.add(entry.target);
-                            observer.unobserve(entry.target);
-                        }
-                    });
-                }, { threshold: 0.5 });
-                
-                observer.observe(statsContainer);
+            // Figures written before the locale switched may still use English separators
+            const groupChar = body.includes(group) ? group : ',';
+            const decimalChar = body.includes(decimal) ? decimal : '.';
+            const grouped = body.includes(groupChar) && /^\d{1,3}(?:\D\d{3})+(?:\D\d+)?$/.test(body);
+            if (grouped) body = body.split(groupChar).join('');
+            
+            const [integer, fraction = ''] = body.split(decimalChar);
+            const amount = Number(`${integer.replace(/\D/g, '')}.${fraction.replace(/\D/g, '') || 0}`);
+            const numberingSystem = /[\u0660-\u0669]/.test(raw) ? 'arab' : /[\u06F0-\u06F9]/.test(raw) ? 'arabext' : 'latn';
+            const options = {
+                minimumFractionDigits: fraction.length,
+                maximumFractionDigits: fraction.length,
+                useGrouping: grouped,
+                numberingSystem
+            };
+            
+            let formatter;
+            try {
+                formatter = new Intl.NumberFormat(this.locale, options);
+            } catch (error) {
+                formatter = new Intl.NumberFormat('en-US', options);
             }
+            
+            return {
+                amount,
+                // The real quantity, e.g. 4500 for "4.5k"
+                value: amount * ({ k: 1e3, m: 1e6, b: 1e9 }[suffix.toLowerCase()] || 1),
+                step: Math.pow(10, -fraction.length),
+                suffix,
+                format: current => formatter.format(current) + suffix
+            };
+        }
+        
+        // Public API: the parsed quantities, e.g. [4500, 20000] for "$4.5k-20k+"
+        get values() {
+            return this.parts.filter(part => typeof part !== 'string').map(part => part.value);
+        }
+        
+        render(progress) {
+            const eased = this.easing(progress);
+            
+            return this.parts.map(part => {
+                if (typeof part === 'string') return part;
+                // Round down so no figure reaches its final value before the last frame
+                const current = Math.floor(part.amount * eased / part.step) * part.step;
+                return part.format(current);
+            }).join('');
+        }
+        
+        // Public API: resolves once the figure shows its final value again
+        start() {
+            if (!this.values.length) return Promise.resolve();
+            
+            // Assistive tech reads the final figure, once; the frames are hidden from it
+            this.frame = document.createElement('span');
+            this.frame.setAttribute('aria-hidden', 'true');
+            const label = document.createElement('span');
+            label.className = 'sr-only';
+            label.textContent = this.finalText;
+            this.element.replaceChildren(this.frame, label);
+            this.draw(0);
+            
+            return new Promise(resolve => {
+                this.resolve = resolve;
+                this.timer = setTimeout(() => {
+                    const startTime = performance.now();
+                    
+                    // Held while scrolled away or in a hidden tab; the clock keeps running, so it catches up
+                    const task = {
+                        write: ({ time }) => {
+                            const progress = Math.min((time - startTime) / this.duration, 1) || 0;
+                            this.draw(progress);
+                            
+                            if (progress < 1) return true;
+                            this.finish();
+                            return false;
+                        }
+                    };
+                    
+                    this.removeTask = frames.add(task, { element: this.element, motion: true });
+                    frames.request(task);
+                }, this.delay);
+            });
+        }
+        
+        draw(progress) {
+            this.lastFrame = this.render(progress);
+            this.frame.textContent = this.lastFrame;
+        }
+        
+        // Public API: jump to the end and put the plain text back
+        finish() {
+            if (!this.frame) return;
+            
+            clearTimeout(this.timer);
+            if (this.removeTask) this.removeTask();
+            this.removeTask = null;
+            
+            // If something rewrote the figure mid-count (a locale switch), that text wins
+            const text = this.frame.textContent !== this.lastFrame ? this.frame.textContent : this.finalText;
+            this.element.textContent = text;
+            this.frame = null;
+            
+            if (this.resolve) this.resolve();
+            this.resolve = null;
+        }
+    }
+    
+    CountUp.easings = {
+        linear: progress => progress,
+        'ease-out': progress => 1 - Math.pow(1 - progress, 3),
+        'ease-in-out': progress => progress < 0.5 ? 4 * Math.pow(progress, 3) : 1 - Math.pow(-2 * progress + 2, 3) / 2,
+        'expo-out': progress => progress === 1 ? 1 : 1 - Math.pow(2, -10 * progress)
+    };
+    
+    // Intersection-based Fade-in Animation Controller
+    class ScrollAnimationController {
+        constructor() {
+            this.revealSelector = '.reveal-on-scroll, .fade-in';
+            // Stat groups count their .urgency-number figures in turn; [data-count-up] counts on its own
+            this.counterSelector = '.urgency-stats, [data-count-up]';
+            this.countersAnimated = new Set();
+            this.revealedSections = new Set();
+            this.revealObserver = null;
+            this.counterObserver = null;
+            this.counters = new Set();
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            this.setupRevealAnimations();
+            this.setupCounterAnimations();
+            this.setupMotionPreference();
+            this.scan(document);
+        }
+        
+        // Public API: watch reveal targets and stat blocks under root, whether present at load or injected later
+        scan(root) {
+            utils.queryAll(root, this.revealSelector).forEach(el => {
+                if (this.revealObserver && !frames.reducedMotion) {
+                    this.revealObserver.observe(el);
+                } else {
+                    // Fallback: show immediately
+                    el.classList.add('visible');
+                }
+            });
+            
+            if (this.counterObserver) {
+                utils.queryAll(root, this.counterSelector)
+                    .filter(container => !this.countersAnimated.has(container))
+                    .forEach(container => this.counterObserver.observe(container));
+            }
+        }
+        
+        // Public API: stop watching anything under a root that left the page
+        release(root) {
+            if (this.revealObserver) {
+                utils.queryAll(root, this.revealSelector).forEach(el => this.revealObserver.unobserve(el));
+            }
+            
+            utils.queryAll(root, this.counterSelector).forEach(container => {
+                if (this.counterObserver) this.counterObserver.unobserve(container);
+                this.countersAnimated.delete(container);
+            });
+            
+            utils.queryAll(root, 'section').forEach(section => this.revealedSections.delete(section));
+        }
+        
+        setupRevealAnimations() {
+            if (!('IntersectionObserver' in window)) return;
+            
+            const options = {
+                threshold: 0.1,
+                rootMargin: '0px 0px -120px 0px'
+            };
+            
+            this.revealObserver = this.disposables.observe(new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.animateElement(entry.target);
+                        this.revealObserver.unobserve(entry.target); // Unobserve after reveal
+                    }
+                });
+            }, options));
+        }
+        
+        animateElement(element) {
+            element.style.transition = 'opacity 0.8s cubic-bezier(0.4, 0, 0.2, 1), transform 0.8s cubic-bezier(0.4, 0, 0.2, 1)';
+            element.style.opacity = '1';
+            element.style.transform = 'translateY(0)';
+            element.classList.add('visible');
+            
+            this.reportSectionReveal(element);
+        }
+        
+        reportSectionReveal(element) {
+            const section = element.closest('section');
+            if (!section || this.revealedSections.has(section)) return;
+            
+            this.revealedSections.add(section);
+            events.emit('section:reveal', {
+                section: section.id || section.getAttribute('aria-labelledby') || section.classList[0]
+            });
+        }
+        
+        setupCounterAnimations() {
+            if (!('IntersectionObserver' in window)) return;
+            
+            this.counterObserver = this.disposables.observe(new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting && !this.countersAnimated.has(entry.target)) {
+                        this.animateCounters(entry.target);
+                        this.countersAnimated.add(entry.target);
+                        this.counterObserver.unobserve(entry.target);
+                    }
+                });
+            }, { threshold: 0.5 }));
+            
+            // The switch has already rewritten running figures in the new language - settle on that text
+            this.disposables.add(events.on('locale:change', () => {
+                this.counters.forEach(counter => counter.finish());
+            }));
+        }
+        
+        // Reduced motion switched on mid-visit - show everything still waiting and stop counting
+        setupMotionPreference() {
+            this.disposables.add(events.on('motion:change', ({ reduced }) => {
+                if (!reduced) return;
+                
+                utils.queryAll(document, this.revealSelector).forEach(el => {
+                    if (this.revealObserver) this.revealObserver.unobserve(el);
+                    el.classList.add('visible');
+                });
+                this.counters.forEach(counter => counter.finish());
+            }));
+        }
+        
+        animateCounters(target) {
+            // The figures are already right; only the motion is skipped
+            if (frames.reducedMotion) return;
+            
+            const numbers = target.matches('[data-count-up]') ? [target] : target.querySelectorAll('.urgency-number');
+            
+            numbers.forEach((number, index) => {
+                const counter = new CountUp(number, { delay: index * 200 });
+                this.counters.add(counter);
+                counter.start().then(() => this.counters.delete(counter));
+            });
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            // Counters stopped mid-count go back to their real figure
+            this.counters.forEach(counter => counter.finish());
+            this.counters.clear();
+            this.countersAnimated.clear();
+            this.revealedSections.clear();
+            this.revealObserver = null;
+            this.counterObserver = null;
+        }
+    }
+    
+    // Touch Support (Non-invasive)
+    // Listens passively on the document, so scrolling is never blocked. A touch that ends more than
+    // swipeDistance px sideways and less than that vertically from where it started is a swipe, handed
+    // to every onSwipe(element, handler) registration whose element the touch started in.
+    class TouchController {
+        constructor() {
+            this.touchStartX = 0;
+            this.touchStartY = 0;
+            this.touchEndX = 0;
+            this.touchEndY = 0;
+            this.touchTarget = null;
+            this.swipeDistance = 50;
+            this.swipeHandlers = [];
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            // Only add touch support if touch is available
+            if ('ontouchstart' in window) {
+                this.setupTouchHandlers();
+            }
+        }
+        
+        setupTouchHandlers() {
+            this.disposables.listen(document, 'touchstart', (e) => {
+                // A second finger means a pinch, not a swipe
+                if (e.touches.length > 1) {
+                    this.resetTouch();
+                    return;
+                }
+                
+                this.touchStartX = this.touchEndX = e.touches[0].clientX;
+                this.touchStartY = this.touchEndY = e.touches[0].clientY;
+                this.touchTarget = e.target;
+            }, { passive: true });
+            
+            this.disposables.listen(document, 'touchmove', (e) => {
+                if (!this.touchTarget) return;
+                
+                this.touchEndX = e.touches[0].clientX;
+                this.touchEndY = e.touches[0].clientY;
+            }, { passive: true });
+            
+            this.disposables.listen(document, 'touchend', () => {
+                if (!this.touchTarget) return;
+                
+                const deltaX = this.touchStartX - this.touchEndX;
+                const deltaY = this.touchStartY - this.touchEndY;
+                
+                // Only detect horizontal swipe if significant and not vertical
+                if (Math.abs(deltaX) > this.swipeDistance && Math.abs(deltaY) < this.swipeDistance) {
+                    this.dispatchSwipe({
+                        direction: deltaX > 0 ? 'left' : 'right',
+                        distance: Math.abs(deltaX)
+                    });
+                }
+                
+                this.resetTouch();
+            }, { passive: true });
+            
+            this.disposables.listen(document, 'touchcancel', () => this.resetTouch(), { passive: true });
+        }
+        
+        dispatchSwipe(swipe) {
+            const target = this.touchTarget;
+            
+            this.swipeHandlers.slice().forEach(({ element, handler }) => {
+                if (element.contains(target)) handler(swipe);
+            });
+        }
+        
+        resetTouch() {
+            this.touchStartX = 0;
+            this.touchStartY = 0;
+            this.touchEndX = 0;
+            this.touchEndY = 0;
+            this.touchTarget = null;
+        }
+        
+        // Public API: handler({ direction: 'left' | 'right', distance }) hears swipes that start inside
+        // element - direction is the way the finger moved. Returns an unsubscribe function.
+        onSwipe(element, handler) {
+            const registration = { element, handler };
+            this.swipeHandlers.push(registration);
+            
+            return () => {
+                this.swipeHandlers = this.swipeHandlers.filter(registered => registered !== registration);
+            };
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            this.resetTouch();
+            this.swipeHandlers = [];
+        }
+    }
+    
+    // Live Region for Accessibility
+    class AccessibilityController {
+        constructor() {
+            this.liveRegion = null;
+            this.escapeHandlers = [];
+            this.disposables = new Disposables();
+            this.init();
+        }
+        
+        init() {
+            this.setupLiveRegion();
+            this.setupKeyboardSupport();
+        }
+        
+        setupLiveRegion() {
+            let liveRegion = document.getElementById('live-region');
+            if (!liveRegion) {
+                liveRegion = document.createElement('div');
+                liveRegion.id = 'live-region';
+                liveRegion.setAttribute('aria-live', 'polite');
+                liveRegion.setAttribute('aria-atomic', 'true');
+                liveRegion.className = 'sr-only';
+                document.body.appendChild(liveRegion);
+            }
+            this.liveRegion = liveRegion;
+        }
+        
+        announce(message) {
+            if (this.liveRegion) {
+                this.liveRegion.textContent = message;
+                this.disposables.timeout(() => {
+                    this.liveRegion.textContent = '';
+                }, 3000);
+            }
+        }
+        
+        // Dialogs register here so Escape closes the topmost one before touching the FAQ
+        pushEscapeHandler(handler) {
+            this.escapeHandlers.push(handler);
+            return () => {
+                this.escapeHandlers = this.escapeHandlers.filter(registered => registered !== handler);
+            };
+        }
+        
+        setupKeyboardSupport() {
+            // Escape key closes the topmost dialog, otherwise the open FAQ
+            this.disposables.listen(document, 'keydown', (e) => {
+                if (e.key === 'Escape' && this.escapeHandlers.length) {
+                    e.preventDefault();
+                    this.escapeHandlers[this.escapeHandlers.length - 1]();
+                    return;
+                }
+                
+                if (e.key === 'Escape') {
+                    const openFAQ = document.querySelector('.faq-item .faq-answer.open');
+                    if (openFAQ) {
+                        const question = openFAQ.previousElementSibling;
+                        if (question && question.classList.contains('faq-question')) {
+                            question.click();
+                        }
+                    }
+                }
+            });
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            // The live region stays - other shells on the page may share it
+            if (this.liveRegion) this.liveRegion.textContent = '';
+            this.escapeHandlers = [];
+        }
+    }
+    
+    // Lead Submission Transports
+    class SubmissionError extends Error {
+        constructor(message, { status = 0, retryable = true, data = null } = {}) {
+            super(message);
+            this.name = 'SubmissionError';
+            this.status = status;
+            this.retryable = retryable;
+            this.data = data;
+        }
+    }
+
+    class FetchTransport {
+        constructor(endpoint, timeout) {
+            this.name = 'fetch';
+            this.endpoint = endpoint;
+            this.timeout = timeout;
+        }
+
+        isSupported() {
+            return typeof window.fetch === 'function';
+        }
+
+        async send(payload) {
+            const abortController = 'AbortController' in window ? new AbortController() : null;
+            const timer = abortController ? setTimeout(() => abortController.abort(), this.timeout) : null;
+            let response;
+
+            try {
+                response = await fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+                    body: JSON.stringify(payload),
+                    credentials: 'same-origin',
+                    signal: abortController ? abortController.signal : undefined
+                });
+            } catch (error) {
+                // Offline, DNS failure, CORS rejection or timeout - all worth retrying later
+                throw new SubmissionError('Network request failed', { retryable: true });
+            } finally {
+                clearTimeout(timer);
+            }
+
+            const data = await response.json().catch(() => null);
+
+            if (!response.ok) {
+                const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+                throw new SubmissionError((data && data.message) || `Server responded with ${response.status}`, {
+                    status: response.status,
+                    retryable,
+                    data
+                });
+            }
+
+            return { status: response.status, message: (data && data.message) || '', data, confirmed: true };
+        }
+    }
+
+    class BeaconTransport {
+        constructor(endpoint) {
+            this.name = 'beacon';
+            this.endpoint = endpoint;
+        }
+
+        isSupported() {
+            return typeof navigator.sendBeacon === 'function';
+        }
+
+        async send(payload) {
+            const blob = new Blob([JSON.stringify(payload)], { type: 'application/json' });
+
+            if (!navigator.sendBeacon(this.endpoint, blob)) {
+                throw new SubmissionError('Beacon was rejected by the browser', { retryable: true });
+            }
+
+            // Beacons are fire-and-forget: the browser accepted it, but the server reply is unknown
+            return { status: 0, message: '', data: null, confirmed: false };
+        }
+    }
+
+    class MailtoTransport {
+        constructor(address) {
+            this.name = 'mailto';
+            this.address = address;
+        }
+
+        isSupported() {
+            return Boolean(this.address);
+        }
+
+        buildHref(payload) {
+            const lines = Object.entries(payload.fields || {})
+                .filter(([, value]) => value)
+                .map(([key, value]) => `${key}: ${value}`);
+            const subject = encodeURIComponent('Free marketing audit request');
+            const body = encodeURIComponent(lines.join('\n'));
+            return `mailto:${this.address}?subject=${subject}&body=${body}`;
+        }
+
+        async send(payload) {
+            window.location.href = this.buildHref(payload);
+            return { status: 0, message: '', data: null, confirmed: false };
+        }
+    }
+
+    // Offline Retry Queue (localStorage-backed, exponential backoff, shared by every open tab)
+    class SubmissionQueue {
+        constructor(storageKey, deliver, onDelivered) {
+            this.storageKey = storageKey;
+            this.deliver = deliver;
+            this.onDelivered = onDelivered;
+            this.baseDelay = 2000;
+            this.maxDelay = 5 * 60 * 1000;
+            this.maxAttempts = 10;
+            // Long enough to outlast a send; a tab closed mid-send leaves its claim to run out
+            this.claimTtl = 60 * 1000;
+            this.owner = utils.uid();
+            this.heldUntil = 0;
+            this.retryTimer = null;
+            this.flushing = false;
+            this.stopped = false;
+            // Coming back online is the signal we were waiting for, so skip the backoff wait
+            this.handleOnline = () => this.flush(true);
+
+            window.addEventListener('online', this.handleOnline);
+            this.scheduleNext();
+        }
+
+        load() {
+            const items = storage.get(this.storageKey, []);
+            return Array.isArray(items) ? items : [];
+        }
+
+        save(items) {
+            if (items.length) {
+                return storage.set(this.storageKey, items);
+            }
+            storage.remove(this.storageKey);
+            return true;
+        }
+
+        enqueue(payload) {
+            const items = this.load();
+            items.push({ id: utils.uid(), payload, attempts: 0, nextAttempt: Date.now() + this.getDelay(0) });
+            const saved = this.save(items);
+            this.scheduleNext();
+            return saved;
+        }
+
+        getDelay(attempts) {
+            const delay = Math.min(this.baseDelay * Math.pow(2, attempts), this.maxDelay);
+            // Jitter so several open tabs don't retry in lockstep
+            return delay / 2 + Math.random() * delay / 2;
+        }
+
+        update(change) {
+            const items = change(this.load());
+            this.save(items);
+            return items;
+        }
+
+        isClaimedElsewhere(item, now = Date.now()) {
+            return Boolean(item.claim) && item.claim.owner !== this.owner && item.claim.until > now;
+        }
+
+        // Marks the item as in flight in storage so other open tabs skip it; null when one of them has it
+        claim(id) {
+            const now = Date.now();
+            let claimed = null;
+
+            this.update(items => items.map(item => {
+                if (item.id !== id || this.isClaimedElsewhere(item, now)) return item;
+                claimed = Object.assign({}, item, { claim: { owner: this.owner, until: now + this.claimTtl } });
+                return claimed;
+            }));
+            return claimed;
+        }
+
+        // Web Locks let only one tab flush at a time; without them the storage claims keep tabs apart
+        async flush(ignoreBackoff = false) {
+            if (this.flushing || navigator.onLine === false) return;
+            this.flushing = true;
+
+            try {
+                if (navigator.locks && typeof navigator.locks.request === 'function') {
+                    await navigator.locks.request(this.storageKey, { ifAvailable: true }, lock => {
+                        // Another tab is flushing - look again once it has had time to finish
+                        if (!lock) this.heldUntil = Date.now() + this.baseDelay;
+                        return lock && this.flushItems(ignoreBackoff);
+                    });
+                } else {
+                    await this.flushItems(ignoreBackoff);
+                }
+            } finally {
+                this.flushing = false;
+                this.scheduleNext();
+            }
+        }
+
+        // Each item is claimed before it is sent and written back on its own, so a reload mid-flush
+        // loses nothing and resends nothing that already went through
+        async flushItems(ignoreBackoff) {
+            const now = Date.now();
+            const due = this.load().filter(item => ignoreBackoff || item.nextAttempt <= now);
+
+            for (const { id } of due) {
+                const item = this.claim(id);
+                if (!item) continue;
+
+                let result;
+                try {
+                    result = await this.deliver(item.payload);
+                } catch (error) {
+                    this.release(item, error);
+                    continue;
+                }
+
+                this.update(items => items.filter(queued => queued.id !== id));
+
+                // Outside the send's try - a failing callback must not put a delivered lead back in the queue
+                try {
+                    if (this.onDelivered) this.onDelivered(item.payload, result);
+                } catch (error) {
+                    console.error('Queued lead delivered, but its callback failed:', error);
+                }
+            }
+        }
+
+        release(item, error) {
+            const attempts = item.attempts + 1;
+            const drop = error.retryable === false || attempts >= this.maxAttempts;
+            if (drop) console.warn('Dropping queued lead after failed delivery:', error.message);
+
+            this.update(items => items
+                .filter(queued => !(drop && queued.id === item.id))
+                .map(queued => queued.id === item.id
+                    ? { id: queued.id, payload: queued.payload, attempts, nextAttempt: Date.now() + this.getDelay(attempts) }
+                    : queued));
+        }
+
+        scheduleNext() {
+            clearTimeout(this.retryTimer);
+
+            // A flush still in flight when we were stopped must not re-arm the timer
+            const items = this.stopped ? [] : this.load();
+            if (!items.length) return;
+
+            // Another tab's claim holds its item back until that tab finishes or the claim runs out
+            const now = Date.now();
+            const next = Math.min(...items.map(item => Math.max(item.nextAttempt, this.isClaimedElsewhere(item, now) ? item.claim.until : 0)));
+            this.retryTimer = setTimeout(() => this.flush(), Math.max(0, next - Date.now(), this.heldUntil - Date.now()));
+        }
+
+        // Queued leads stay in storage - the next page (or re-init) picks them up
+        stop() {
+            this.stopped = true;
+            clearTimeout(this.retryTimer);
+            window.removeEventListener('online', this.handleOnline);
+        }
+    }
+
+    // Lead Submitter - sends through the preferred transport and falls back to the retry queue
+    class LeadSubmitter {
+        constructor({ endpoint, transports, mailto, timeout, onQueuedDelivery, queueKey = 'armanleads:lead-queue' }) {
+            const available = {
+                fetch: () => new FetchTransport(endpoint, timeout),
+                beacon: () => new BeaconTransport(endpoint),
+                mailto: () => new MailtoTransport(mailto)
+            };
+
+            this.transports = transports
+                .map(name => available[name] && available[name]())
+                .filter(transport => transport && transport.isSupported());
+            this.mailto = new MailtoTransport(mailto);
+            this.queue = new SubmissionQueue(queueKey, (payload) => this.deliver(payload), onQueuedDelivery);
+        }
+
+        // The first supported transport carries the lead - the others only stand in for browsers without it.
+        // Falling through to a beacon after fetch failed would report success either way, since the browser
+        // accepts a beacon whether or not the server is up; the retry queue covers those failures instead.
+        async deliver(payload) {
+            const transport = this.transports[0];
+            if (!transport) throw new SubmissionError('No transport available', { retryable: false });
+
+            const result = await transport.send(payload);
+            return Object.assign({ transport: transport.name }, result);
+        }
+
+        async submit(payload) {
+            try {
+                return Object.assign({ state: 'sent' }, await this.deliver(payload));
+            } catch (error) {
+                if (error.retryable !== false && this.queue.enqueue(payload)) {
+                    return { state: 'queued', error };
+                }
+                return { state: 'failed', error, mailtoHref: this.mailto.isSupported() ? this.mailto.buildHref(payload) : '' };
+            }
+        }
+
+        stop() {
+            this.queue.stop();
+        }
+    }
+
+    // Declarative Validation Engine
+    // Rules come from markup: native constraint attributes (required, minlength, pattern, type=email...)
+    // or data-* equivalents, plus data-validate="name name:arg" for named validators and
+    // data-match="otherField" for cross-field checks. Messages can be overridden per rule with
+    // data-message-<rule>, using {label}, {value} and {arg} placeholders. The messages below are the
+    // English defaults; locale catalogs translate them as validation.<rule>.
+    const validators = {
+        required: {
+            message: 'This field is required',
+            validate: value => value.length > 0
+        },
+        minlength: {
+            message: 'Minimum {arg} characters required',
+            validate: (value, arg) => value.length >= Number(arg)
+        },
+        maxlength: {
+            message: 'Maximum {arg} characters allowed',
+            validate: (value, arg) => value.length <= Number(arg)
+        },
+        min: {
+            message: 'Please enter {arg} or more',
+            validate: (value, arg) => Number(value) >= Number(arg)
+        },
+        max: {
+            message: 'Please enter {arg} or less',
+            validate: (value, arg) => Number(value) <= Number(arg)
+        },
+        pattern: {
+            message: 'Please match the requested format',
+            validate: (value, arg) => new RegExp(`^(?:${arg})$`).test(value)
+        },
+        email: {
+            message: 'Please enter a valid email address',
+            validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+        },
+        url: {
+            message: 'Please enter a valid URL (https://...)',
+            validate: value => /^https?:\/\/.+/.test(value)
+        },
+        phone: {
+            message: 'Please enter a valid phone number',
+            validate: value => /^\+?[\d\s().-]+$/.test(value) && value.replace(/\D/g, '').length >= 7
+        },
+        match: {
+            message: 'This field must match {arg}',
+            validate: (value, arg, { form }) => {
+                const other = form.querySelector(`[name="${arg}"]`);
+                return !other || value === other.value.trim();
+            }
+        },
+        reachable: {
+            message: 'We couldn\'t reach that website - please double-check the address',
+            validate: (value, arg) => {
+                const endpoint = arg || config.urlCheckEndpoint;
+                return fetch(`${endpoint}?url=${encodeURIComponent(value)}`, { headers: { 'Accept': 'application/json' } })
+                    .then(response => response.ok ? response.json() : null)
+                    // A broken checker must never block a lead, so only an explicit "false" fails
+                    .then(data => !data || data.reachable !== false)
+                    .catch(() => true);
+            }
+        }
+    };
+    
+    class FormValidator {
+        constructor(form, { interceptSubmit = true, debounce = 300 } = {}) {
+            this.form = form;
+            this.fields = {};
+            this.asyncCache = new Map();
+            this.interceptSubmit = interceptSubmit;
+            this.debounce = debounce;
+            this.bypassNextSubmit = false;
+            this.disposables = new Disposables();
+            
+            FormValidator.instances.set(form, this);
+            this.init();
+        }
+        
+        static for(form) {
+            return FormValidator.instances.get(form);
+        }
+        
+        // Controllers that drive submission themselves (the wizard, the scheduler) may start after
+        // ValidationController has attached to their form - swap its validator for one that leaves submit alone
+        static claim(form) {
+            const existing = FormValidator.for(form);
+            if (existing && !existing.interceptSubmit) return existing;
+            
+            if (existing) existing.destroy();
+            return new FormValidator(form, { interceptSubmit: false });
+        }
+        
+        init() {
+            this.cacheFields();
+            this.setupRealTimeValidation();
+            
+            if (this.interceptSubmit) {
+                this.disposables.listen(this.form, 'submit', (e) => this.handleSubmit(e));
+            }
+            
+            // Re-run visible errors so their messages switch language with the page
+            this.disposables.add(events.on('locale:change', () => {
+                Object.entries(this.fields).forEach(([fieldName, { input }]) => {
+                    if (input.getAttribute('aria-invalid') === 'true') this.validateField(fieldName);
+                });
+            }));
+        }
+        
+        cacheFields() {
+            this.form.querySelectorAll('input[name], select[name], textarea[name]').forEach(input => {
+                if (['hidden', 'submit', 'button', 'reset'].includes(input.type)) return;
+                // Honeypot traps belong to SpamGuard, never to the lead
+                if (input.closest('[data-honeypot]')) return;
+                if (this.fields[input.name]) return;
+                
+                this.fields[input.name] = {
+                    input,
+                    error: this.findErrorElement(input) || this.createErrorElement(input),
+                    valid: false,
+                    token: 0
+                };
+            });
+        }
+        
+        findErrorElement(input) {
+            // Prefer the id-based convention so forms can reuse field names (e.g. "email") without clashing
+            return (input.id && this.form.querySelector(`[id="${input.id}-error"]`)) ||
+                this.form.querySelector(`[id="${input.name}-error"]`);
+        }
+        
+        createErrorElement(input) {
+            const errorEl = document.createElement('span');
+            errorEl.className = 'error-message';
+            errorEl.setAttribute('role', 'alert');
+            errorEl.id = `${input.id || input.name}-error`;
+            input.parentNode.appendChild(errorEl);
+            
+            const describedBy = input.getAttribute('aria-describedby');
+            input.setAttribute('aria-describedby', describedBy ? `${describedBy} ${errorEl.id}` : errorEl.id);
+            return errorEl;
+        }
+        
+        setupRealTimeValidation() {
+            Object.entries(this.fields).forEach(([fieldName, field]) => {
+                const { input } = field;
+                
+                this.disposables.listen(input, 'blur', () => {
+                    this.validateField(fieldName);
+                });
+                
+                this.disposables.listen(input, 'input', utils.debounce(() => {
+                    this.validateField(fieldName);
+                    this.revalidateDependents(fieldName);
+                }, this.debounce));
+            });
+        }
+        
+        revalidateDependents(fieldName) {
+            Object.entries(this.fields).forEach(([name, { input }]) => {
+                if (input.dataset.match === fieldName && input.value) {
+                    this.validateField(name);
+                }
+            });
+        }
+        
+        getRules(input) {
+            const { dataset } = input;
+            const rules = [];
+            const add = (name, arg) => {
+                if (arg !== null && arg !== undefined && arg !== false) rules.push({ name, arg });
+            };
+            
+            add('required', input.required || 'required' in dataset ? true : null);
+            add('minlength', dataset.minlength || input.getAttribute('minlength'));
+            add('maxlength', dataset.maxlength || input.getAttribute('maxlength'));
+            // Native min/max only mean numbers on numeric inputs (dates use them too)
+            const numeric = input.type === 'number' || input.type === 'range';
+            add('min', dataset.min || (numeric ? input.getAttribute('min') : null));
+            add('max', dataset.max || (numeric ? input.getAttribute('max') : null));
+            add('pattern', dataset.pattern || input.getAttribute('pattern'));
+            if (input.type === 'email') add('email', true);
+            if (input.type === 'url') add('url', true);
+            add('match', dataset.match);
+            
+            (dataset.validate || '').split(/\s+/).filter(Boolean).forEach(rule => {
+                const [name, ...arg] = rule.split(':');
+                rules.push({ name, arg: arg.length ? arg.join(':') : undefined });
+            });
+            
+            return rules;
+        }
+        
+        getLabel(input) {
+            const label = input.id && this.form.querySelector(`label[for="${input.id}"]`);
+            return label ? label.textContent.replace('*', '').trim() : input.name;
+        }
+        
+        formatMessage(rule, input, value) {
+            const key = `message${rule.name.charAt(0).toUpperCase()}${rule.name.slice(1)}`;
+            const fallback = validators[rule.name] && validators[rule.name].message;
+            const template = input.dataset[key] ||
+                (fallback ? i18n.t(`validation.${rule.name}`, {}, fallback) : i18n.t('validation.fallback'));
+            const params = { label: this.getLabel(input), value, arg: rule.arg };
+            
+            if (rule.name === 'match') {
+                const other = this.fields[rule.arg];
+                params.arg = other ? this.getLabel(other.input) : rule.arg;
+            }
+            
+            return template.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+        }
+        
+        async validateField(fieldName) {
+            const field = this.fields[fieldName];
+            if (!field) return true;
+            
+            const { input, error } = field;
+            const value = input.value.trim();
+            const rules = this.getRules(input);
+            const token = ++field.token;
+            const context = { form: this.form, input, fields: this.fields };
+            
+            let errorMessage = '';
+            const pending = [];
+            
+            // Empty optional fields skip every other rule
+            if (value || rules.some(rule => rule.name === 'required')) {
+                for (const rule of rules) {
+                    const validator = validators[rule.name];
+                    if (!validator) {
+                        console.warn(`Unknown validator "${rule.name}" on field "${fieldName}"`);
+                        continue;
+                    }
+                    
+                    const cacheKey = `${rule.name}|${rule.arg}|${value}`;
+                    const result = this.asyncCache.has(cacheKey)
+                        ? this.asyncCache.get(cacheKey)
+                        : validator.validate(value, rule.arg, context);
+                    
+                    if (result && typeof result.then === 'function') {
+                        // Cache the promise itself so blur + input don't fire duplicate requests
+                        this.asyncCache.set(cacheKey, result);
+                        pending.push({ rule, cacheKey, result });
+                        continue;
+                    }
+                    
+                    if (result !== true) {
+                        errorMessage = typeof result === 'string' ? result : this.formatMessage(rule, input, value);
+                        break;
+                    }
+                }
+            }
+            
+            // Async validators only run once every synchronous rule has passed
+            if (!errorMessage && pending.length) {
+                input.classList.add('is-validating');
+                input.setAttribute('aria-busy', 'true');
+                
+                for (const { rule, cacheKey, result } of pending) {
+                    let outcome;
+                    try {
+                        outcome = await result;
+                    } catch (error) {
+                        // A failing remote check shouldn't lock the visitor out of the form
+                        console.warn(`Validator "${rule.name}" failed:`, error);
+                        outcome = true;
+                    }
+                    this.asyncCache.set(cacheKey, outcome);
+                    
+                    if (outcome !== true) {
+                        errorMessage = typeof outcome === 'string' ? outcome : this.formatMessage(rule, input, value);
+                        break;
+                    }
+                }
+                
+                // A newer keystroke started its own validation - let that one report
+                if (token !== field.token) return field.valid;
+            }
+            
+            // Whichever run reports last clears the busy state, even one that never went async itself
+            this.clearPending(input);
+            field.valid = !errorMessage;
+            this.updateFieldState(input, error, field.valid, errorMessage);
+            
+            return field.valid;
+        }
+        
+        async validateAll(fieldNames = Object.keys(this.fields)) {
+            // Validate every field (not just until the first failure) so all errors show at once
+            const results = await Promise.all(fieldNames.map(fieldName => this.validateField(fieldName)));
+            return results.every(Boolean);
+        }
+        
+        focusFirstInvalid(fieldNames = Object.keys(this.fields)) {
+            const invalid = fieldNames.find(fieldName => this.fields[fieldName] && !this.fields[fieldName].valid);
+            if (invalid) {
+                this.fields[invalid].input.focus();
+            }
+        }
+        
+        updateFieldState(input, error, isValid, errorMessage) {
+            input.setAttribute('aria-invalid', String(!isValid));
+            
+            if (isValid) {
+                input.style.borderColor = 'var(--accent-emerald)';
+                error.textContent = '';
+                error.style.opacity = '0';
+            } else {
+                input.style.borderColor = 'var(--accent-crimson)';
+                error.textContent = errorMessage;
+                error.style.opacity = '1';
+            }
+        }
+        
+        clearPending(input) {
+            input.classList.remove('is-validating');
+            input.removeAttribute('aria-busy');
+        }
+        
+        // Public API: forget earlier results, e.g. once the form has been cleared
+        reset() {
+            Object.values(this.fields).forEach(field => {
+                field.valid = false;
+                field.token++;
+                this.clearPending(field.input);
+                field.input.removeAttribute('aria-invalid');
+                field.input.style.borderColor = '';
+                field.error.textContent = '';
+                field.error.style.opacity = '0';
+            });
+        }
+        
+        handleSubmit(e) {
+            if (this.bypassNextSubmit) {
+                this.bypassNextSubmit = false;
+                return;
+            }
+            
+            // Async rules can't be awaited inside a submit event, so hold it and resubmit once valid
+            e.preventDefault();
+            const submitter = e.submitter;
+            
+            this.validateAll().then(isValid => {
+                if (!isValid) {
+                    this.focusFirstInvalid();
+                    return;
+                }
+                
+                // submit() skips the submit event, so only requestSubmit() would come back to clear the flag
+                if (typeof this.form.requestSubmit === 'function') {
+                    this.bypassNextSubmit = true;
+                    this.form.requestSubmit(submitter);
+                } else {
+                    this.form.submit();
+                }
+            });
+        }
+        
+        // Error elements stay in the form, so a new validator finds and reuses them
+        destroy() {
+            this.disposables.dispose();
+            this.asyncCache.clear();
+            if (FormValidator.for(this.form) === this) FormValidator.instances.delete(this.form);
+        }
+    }
+    
+    FormValidator.instances = new WeakMap();
+    
+    // Automatic validation for every form on the page (opt out with data-validation="off")
+    class ValidationController {
+        constructor() {
+            this.validators = validators;
+            this.attached = new Set();
+            this.init();
+        }
+        
+        init() {
+            this.scan(document);
+        }
+        
+        // Public API: attach to forms under root, whether present at load or injected later
+        scan(root) {
+            utils.queryAll(root, 'form').forEach(form => this.attach(form));
+        }
+        
+        // Public API: detach from forms under a root that left the page
+        release(root) {
+            utils.queryAll(root, 'form').forEach(form => {
+                const validator = FormValidator.for(form);
+                if (validator && this.attached.has(validator)) {
+                    validator.destroy();
+                    this.attached.delete(validator);
+                }
+            });
+        }
+        
+        attach(form) {
+            if (form.dataset.validation === 'off') return null;
+            
+            let validator = FormValidator.for(form);
+            if (!validator) {
+                validator = new FormValidator(form);
+                this.attached.add(validator);
+            }
+            return validator;
+        }
+        
+        // Public API: register(name, (value, arg, { form, input, fields }) => boolean | string | Promise, message)
+        register(name, validate, message) {
+            if (typeof validate !== 'function') {
+                throw new TypeError(`Validator "${name}" must be a function`);
+            }
+            validators[name] = { validate, message };
+        }
+        
+        // Only validators this controller created - FormController owns the lead form's
+        destroy() {
+            this.attached.forEach(validator => validator.destroy());
+            this.attached.clear();
+        }
+    }
+    
+    // Proof-of-work worker body, shipped to a Blob worker as source text - hashcash over SHA-256:
+    // find the first nonce for which sha256("challenge:nonce") starts with `difficulty` zero bits
+    function proofOfWorkWorker() {
+        const leadingZeroBits = (bytes) => {
+            let bits = 0;
+            for (const byte of bytes) {
+                if (byte === 0) {
+                    bits += 8;
+                    continue;
+                }
+                return bits + Math.clz32(byte) - 24;
+            }
+            return bits;
+        };
+        
+        self.onmessage = async ({ data: { challenge, difficulty } }) => {
+            const encoder = new TextEncoder();
+            
+            for (let nonce = 0; ; nonce++) {
+                const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${nonce}`)));
+                
+                if (leadingZeroBits(digest) >= difficulty) {
+                    const hash = Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+                    self.postMessage({ challenge, difficulty, nonce, hash });
+                    return;
+                }
+            }
+        };
+    }
+    
+    // Spam Protection
+    // Captcha-free layers for the lead form. Each layer only raises a signal - a filled [data-honeypot]
+    // field, a submit sooner than minFillTime after the form appeared, no keyboard or pointer activity,
+    // an automated browser or a throwaway email domain - and a visitor meets friction (a longer proof of
+    // work, or a request for a real email address) only once minSignals of them trip together. That goes
+    // for the honeypot too, since browser autofill can fill it for a real visitor; its weight sees that any
+    // second signal alongside it blocks. The weights and thresholds live in <rulesPath> (data/spam-rules.json),
+    // which the backend scores with as well. Separately, one browser may send at most maxSubmissions leads
+    // per rateWindow.
+    //
+    // Every lead carries the report as payload.spam. Its score and verdict are this browser's opinion and
+    // only decide the friction shown here; the backend recomputes its own. What it can check is the proof:
+    // GET <challengeEndpoint>?difficulty= answers { challenge, difficulty, expires, signature }, signed
+    // with a secret only the server holds, and the worker finds its nonce. The server verifies the
+    // signature, expiry, hash and that the challenge was not used before, and reads how long the form
+    // took from when it issued the challenge. Client-reported signals can only add to its score - a bot
+    // that leaves them out is no better off than one that never tripped them. dev/mock-server.js does all
+    // of this for local testing.
+    class SpamGuard {
+        constructor(form, {
+            minFillTime = config.spamMinFillTime,
+            maxSubmissions = config.leadRateLimit,
+            rateWindow = config.leadRateWindowMinutes * 60 * 1000,
+            difficulty = config.proofOfWorkDifficulty,
+            challengeEndpoint = config.spamChallengeEndpoint,
+            domainsPath = config.disposableDomainsPath,
+            rulesPath = config.spamRulesPath
+        } = {}) {
+            this.form = form;
+            this.minFillTime = minFillTime;
+            this.maxSubmissions = maxSubmissions;
+            this.rateWindow = rateWindow;
+            this.difficulty = difficulty;
+            this.challengeEndpoint = challengeEndpoint;
+            this.domainsPath = domainsPath;
+            this.rulesPath = rulesPath;
+            this.storageKey = 'armanleads:lead-sends';
+            this.honeypots = Array.from(form.querySelectorAll('[data-honeypot] input, [data-honeypot] textarea'));
+            this.disposableDomains = new Set(SpamGuard.disposableDomains.concat(config.disposableDomains));
+            this.workers = new Map();
+            this.proof = null;
+            this.domainsLoaded = false;
+            this.disposables = new Disposables();
+            
+            this.reset();
+            this.init();
+        }
+        
+        init() {
+            const count = (signal) => () => { this.interactions[signal]++; };
+            
+            this.disposables.listen(this.form, 'keydown', count('keys'));
+            this.disposables.listen(this.form, 'pointerdown', count('pointer'));
+            this.disposables.listen(this.form, 'touchstart', count('pointer'), { passive: true });
+            this.disposables.listen(this.form, 'paste', count('paste'));
+            this.disposables.listen(this.form, 'focusin', () => {
+                this.interactions.focus++;
+                // Warm up while the visitor types, so submitting never waits on either
+                this.getProof();
+                this.loadDomains();
+                this.ready();
+            });
+        }
+        
+        // Starts the clock and counters over, at load and again once a lead has gone out
+        reset() {
+            this.startedAt = Date.now();
+            this.interactions = { keys: 0, pointer: 0, paste: 0, focus: 0 };
+            // A solved challenge is good for one lead only
+            this.proof = null;
+        }
+        
+        // One request per page, shared by every guard; the rules stay null when they can't be had
+        ready() {
+            if (!SpamGuard.rulesRequest) {
+                SpamGuard.rulesRequest = !this.rulesPath || typeof fetch !== 'function'
+                    ? Promise.resolve()
+                    : fetch(this.rulesPath, { headers: { 'Accept': 'application/json' } })
+                        .then(response => response.ok ? response.json() : null)
+                        .then(rules => {
+                            if (rules && rules.weights) SpamGuard.rules = rules;
+                        })
+                        .catch(error => console.warn('Could not load the spam rules:', error));
+            }
+            return SpamGuard.rulesRequest;
+        }
+        
+        loadDomains() {
+            if (this.domainsLoaded || !this.domainsPath || typeof fetch !== 'function') return;
+            this.domainsLoaded = true;
+            
+            fetch(this.domainsPath, { headers: { 'Accept': 'application/json' } })
+                .then(response => response.ok ? response.json() : null)
+                .then(data => {
+                    const domains = Array.isArray(data) ? data : (data && data.domains) || [];
+                    domains.forEach(domain => this.disposableDomains.add(String(domain).toLowerCase()));
+                })
+                .catch(error => console.warn('Could not load the disposable email list:', error));
+        }
+        
+        isDisposable(email) {
+            const domain = String(email || '').toLowerCase().split('@')[1];
+            if (!domain) return false;
+            
+            // Subdomains of a listed domain count too (e.g. x.mailinator.com)
+            const parts = domain.split('.');
+            return parts.some((part, index) => this.disposableDomains.has(parts.slice(index).join('.')));
+        }
+        
+        getProof() {
+            if (!this.proof) this.proof = this.prove(this.difficulty);
+            return this.proof;
+        }
+        
+        // Resolves the signed challenge plus its { nonce, hash }, or null when no challenge could be had or
+        // workers, Blob URLs (CSP) or WebCrypto aren't available - the backend counts a missing proof as a signal
+        async prove(difficulty) {
+            const challenge = await this.fetchChallenge(difficulty);
+            if (!challenge) return null;
+            
+            const solution = await this.solve(challenge.challenge, challenge.difficulty);
+            return solution ? Object.assign({}, challenge, { nonce: solution.nonce, hash: solution.hash }) : null;
+        }
+        
+        // The server has the final say on difficulty, and signs the one it picked
+        async fetchChallenge(difficulty) {
+            if (!this.challengeEndpoint || typeof fetch !== 'function') return null;
+            
+            try {
+                const response = await fetch(`${this.challengeEndpoint}?difficulty=${difficulty}`, {
+                    headers: { 'Accept': 'application/json' },
+                    credentials: 'same-origin',
+                    cache: 'no-store'
+                });
+                if (!response.ok) throw new Error(`Challenge request failed with ${response.status}`);
+                
+                const challenge = await response.json();
+                if (!challenge || typeof challenge.challenge !== 'string' || !challenge.signature) {
+                    throw new Error('Malformed challenge');
+                }
+                return challenge;
+            } catch (error) {
+                console.warn('Could not get a spam challenge:', error);
+                return null;
+            }
+        }
+        
+        // Resolves { challenge, difficulty, nonce, hash }, or null where the worker can't run
+        solve(challenge, difficulty, timeout = 20000) {
+            if (!window.Worker || !window.Blob || !window.URL || !(window.crypto && window.crypto.subtle)) {
+                return Promise.resolve(null);
+            }
+            
+            return new Promise(resolve => {
+                let url;
+                let worker;
+                
+                try {
+                    url = URL.createObjectURL(new Blob([`(${proofOfWorkWorker})()`], { type: 'text/javascript' }));
+                    worker = new Worker(url);
+                } catch (error) {
+                    if (url) URL.revokeObjectURL(url);
+                    resolve(null);
+                    return;
+                }
+                
+                const finish = (result) => {
+                    clearTimeout(timer);
+                    worker.terminate();
+                    URL.revokeObjectURL(url);
+                    this.workers.delete(worker);
+                    resolve(result);
+                };
+                const timer = setTimeout(() => finish(null), timeout);
+                
+                this.workers.set(worker, finish);
+                worker.onmessage = ({ data }) => finish(data);
+                worker.onerror = () => finish(null);
+                worker.postMessage({ challenge, difficulty });
+            });
+        }
+        
+        // Public API: { score, signals, verdict } - verdict is "pass", "challenge" or "block". Await ready()
+        // first; without the rules every submit passes here and only the backend's scoring applies
+        assess(fields) {
+            const rules = SpamGuard.rules;
+            const signals = [];
+            
+            if (this.honeypots.some(input => input.value.trim())) signals.push('honeypot');
+            if (Date.now() - this.startedAt < this.minFillTime) signals.push('fast');
+            if (!this.interactions.keys && !this.interactions.pointer) signals.push('no-interaction');
+            if (navigator.webdriver) signals.push('automation');
+            if (this.isDisposable(fields.email)) signals.push('disposable-email');
+            
+            if (!rules) return { score: 0, signals, verdict: 'pass' };
+            
+            const score = signals.reduce((total, signal) => total + (rules.weights[signal] || 0), 0);
+            let verdict = 'pass';
+            if (signals.length >= rules.minSignals) {
+                verdict = score >= rules.blockScore ? 'block' : 'challenge';
+            }
+            
+            return { score, signals, verdict };
+        }
+        
+        // Public API: the payload.spam report - a challenged submit earns its way through a harder proof
+        async report({ score, signals, verdict }) {
+            let proof = await (verdict === 'challenge' ? this.prove(this.difficulty + SpamGuard.rules.stepUpBits) : this.getProof());
+            
+            // Warmed up when the form was first focused, which may be longer ago than the server allows
+            if (proof && proof.expires && proof.expires <= Date.now()) {
+                this.proof = null;
+                proof = await this.getProof();
+            }
+            
+            return {
+                score,
+                signals,
+                verdict,
+                elapsed: Date.now() - this.startedAt,
+                interactions: Object.assign({}, this.interactions),
+                proof
+            };
+        }
+        
+        getRecentSends() {
+            const since = Date.now() - this.rateWindow;
+            return storage.get(this.storageKey, []).filter(time => typeof time === 'number' && time > since);
+        }
+        
+        // Public API: milliseconds until this browser may send another lead, 0 when it may now
+        checkRate() {
+            const sends = this.getRecentSends();
+            if (sends.length < this.maxSubmissions) return 0;
+            
+            return Math.max(0, Math.min(...sends) + this.rateWindow - Date.now());
+        }
+        
+        recordSubmission() {
+            storage.set(this.storageKey, this.getRecentSends().concat(Date.now()));
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            Array.from(this.workers.values()).forEach(finish => finish(null));
+            this.proof = null;
+        }
+    }
+    
+    SpamGuard.rules = null;
+    SpamGuard.rulesRequest = null;
+    
+    // Seed list; config.disposableDomainsPath adds to it
+    SpamGuard.disposableDomains = [
+        'mailinator.com',
+        'guerrillamail.com',
+        '10minutemail.com',
+        'tempmail.com',
+        'temp-mail.org',
+        'yopmail.com',
+        'trashmail.com',
+        'sharklasers.com',
+        'getnada.com',
+        'dispostable.com'
+    ];
+    
+    // Website Mini-Audit Preview
+    // GET <siteAuditEndpoint>?url= answers { https, mobileFriendly, title, metaDescription, loadTimeMs,
+    // localVisibility }: title and metaDescription are the page's own text ("" when missing) and
+    // localVisibility is a 0-100 score. Anything left out is skipped. For local testing, point
+    // ArmanLeadsConfig.siteAuditEndpoint at data/site-audit-sample.json.
+    class SiteAuditPreview {
+        constructor(card, { endpoint = config.siteAuditEndpoint, timeout = config.siteAuditTimeout } = {}) {
+            this.card = card;
+            this.endpoint = endpoint;
+            this.timeout = timeout;
+            this.status = card.querySelector('[data-site-audit-status]');
+            this.list = card.querySelector('[data-site-audit-results]');
+            this.retryButton = card.querySelector('[data-site-audit-retry]');
+            this.results = new Map();
+            this.requestId = 0;
+            this.abortController = null;
+            this.url = null;
+            this.state = 'idle';
+        }
+        
+        async preview(url) {
+            if (url === this.url && ['loading', 'ready'].includes(this.state)) return this.results.get(url) || null;
+            
+            this.cancel();
+            this.url = url;
+            
+            if (this.results.has(url)) {
+                this.setState('ready');
+                return this.results.get(url);
+            }
+            
+            const requestId = ++this.requestId;
+            const abortController = 'AbortController' in window ? new AbortController() : null;
+            let timer;
+            let timedOut = false;
+            
+            this.abortController = abortController;
+            this.setState('loading');
+            
+            try {
+                const request = fetch(`${this.endpoint}?url=${encodeURIComponent(url)}`, {
+                    headers: { 'Accept': 'application/json' },
+                    credentials: 'same-origin',
+                    signal: abortController ? abortController.signal : undefined
+                }).then(response => {
+                    if (!response.ok) throw new Error(`Site audit failed with ${response.status}`);
+                    return response.json();
+                });
+                const timeout = new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        timedOut = true;
+                        if (abortController) abortController.abort();
+                        reject(new Error('Site audit timed out'));
+                    }, this.timeout);
+                });
+                
+                const data = await Promise.race([request, timeout]);
+                if (requestId !== this.requestId) return null;
+                
+                this.results.set(url, this.normalize(data));
+                this.setState('ready');
+                return this.results.get(url);
+            } catch (error) {
+                // Superseded by a newer URL, or cancelled - that request reports instead
+                if (requestId !== this.requestId) return null;
+                
+                console.warn('Website preview failed:', error.message);
+                this.setState(timedOut ? 'timeout' : 'error');
+                return null;
+            } finally {
+                clearTimeout(timer);
+                if (this.abortController === abortController) this.abortController = null;
+            }
+        }
+        
+        retry() {
+            if (this.url) return this.preview(this.url);
+            return Promise.resolve(null);
+        }
+        
+        cancel() {
+            this.requestId++;
+            if (this.abortController) this.abortController.abort();
+            this.abortController = null;
+        }
+        
+        clear() {
+            this.cancel();
+            this.url = null;
+            this.setState('idle');
+        }
+        
+        normalize(data) {
+            const present = value => typeof value === 'string' ? value.trim().length > 0 : Boolean(value);
+            const result = { checkedAt: new Date().toISOString() };
+            
+            if (typeof data.https === 'boolean') result.https = data.https;
+            if (typeof data.mobileFriendly === 'boolean') result.mobileFriendly = data.mobileFriendly;
+            if (data.title !== undefined) result.titlePresent = present(data.title);
+            if (data.metaDescription !== undefined) result.metaDescriptionPresent = present(data.metaDescription);
+            if (Number.isFinite(data.loadTimeMs)) result.loadTimeMs = Math.max(0, Math.round(data.loadTimeMs));
+            if (Number.isFinite(data.localVisibility)) result.localVisibility = utils.clamp(Math.round(data.localVisibility), 0, 100);
+            
+            return result;
+        }
+        
+        getChecks(result) {
+            const checks = [];
+            const add = (key, rating, value) => checks.push({ key, rating, value });
+            
+            if ('https' in result) {
+                add('https', result.https ? 'good' : 'poor', i18n.t(result.https ? 'audit.https.good' : 'audit.https.poor'));
+            }
+            if ('mobileFriendly' in result) {
+                add('mobile', result.mobileFriendly ? 'good' : 'poor', i18n.t(result.mobileFriendly ? 'audit.mobile.good' : 'audit.mobile.poor'));
+            }
+            if ('titlePresent' in result) {
+                add('title', result.titlePresent ? 'good' : 'poor', i18n.t(result.titlePresent ? 'audit.present' : 'audit.missing'));
+            }
+            if ('metaDescriptionPresent' in result) {
+                add('meta', result.metaDescriptionPresent ? 'good' : 'poor', i18n.t(result.metaDescriptionPresent ? 'audit.present' : 'audit.missing'));
+            }
+            if ('loadTimeMs' in result) {
+                // Core Web Vitals treats 2.5s as good and 4s as the start of poor
+                const seconds = result.loadTimeMs / 1000;
+                add('speed', seconds <= 2.5 ? 'good' : seconds <= 4 ? 'fair' : 'poor', i18n.t('audit.speed.value', { seconds: Math.round(seconds * 10) / 10 }));
+            }
+            if ('localVisibility' in result) {
+                const score = result.localVisibility;
+                add('local', score >= 70 ? 'good' : score >= 40 ? 'fair' : 'poor', i18n.t('audit.local.value', { score, max: 100 }));
+            }
+            
+            return checks;
+        }
+        
+        setState(state) {
+            this.state = state;
+            this.render();
+        }
+        
+        render() {
+            const { state } = this;
+            const result = state === 'ready' ? this.results.get(this.url) : null;
+            const checks = result ? this.getChecks(result) : [];
+            let host = this.url || '';
+            try {
+                host = new URL(this.url).hostname.replace(/^www\./, '');
+            } catch (error) {
+                // Not a full URL - show it as typed
+            }
+            
+            this.card.hidden = state === 'idle';
+            this.card.dataset.state = state;
+            this.card.setAttribute('aria-busy', String(state === 'loading'));
+            if (this.retryButton) this.retryButton.hidden = !['timeout', 'error'].includes(state);
+            
+            if (this.status) {
+                const messages = {
+                    loading: () => i18n.t('audit.loading', { host }),
+                    ready: () => i18n.t('audit.ready', { host, good: checks.filter(check => check.rating === 'good').length, total: checks.length }),
+                    timeout: () => i18n.t('audit.timeout'),
+                    error: () => i18n.t('audit.error')
+                };
+                this.status.textContent = messages[state] ? messages[state]() : '';
+            }
+            
+            if (!this.list) return;
+            
+            this.list.replaceChildren(...checks.map(({ key, rating, value }) => {
+                const item = document.createElement('li');
+                item.className = 'site-audit-item';
+                item.dataset.rating = rating;
+                
+                const label = document.createElement('span');
+                label.className = 'site-audit-label';
+                label.textContent = i18n.t(`audit.${key}.label`);
+                
+                const detail = document.createElement('span');
+                detail.className = 'site-audit-value';
+                detail.textContent = value;
+                
+                item.append(label, detail);
+                return item;
+            }));
+        }
+        
+        // Public API: what the lead carries - only for the URL that is in the field right now
+        getResult(url) {
+            if (!url || url !== this.url || this.state === 'idle') return null;
+            
+            return Object.assign({ url, state: this.state }, this.state === 'ready' ? this.results.get(url) : {});
+        }
+        
+        destroy() {
+            this.cancel();
+        }
+    }
+    
+    // Form Enhancement System
+    class FormController {
+        constructor() {
+            this.form = elements.form;
+            this.fields = {};
+            // Mirrors the "Who It Works For" section - unmet criteria route to the "not a fit yet" outcome
+            this.fitCriteria = [
+                { field: 'budget', test: value => value !== 'under-1500', reason: ['form.fit.budget', { amount: 1500 }] },
+                { field: 'capacity', test: value => value === 'yes', reason: ['form.fit.capacity', { count: 15 }] },
+                { field: 'timeline', test: value => value !== 'this-week', reason: ['form.fit.timeline'] }
+            ];
+            
+            this.steps = [];
+            this.currentStep = 0;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.form) return;
+            
+            this.cacheFormElements();
+            this.setupSubmitter();
+            this.setupSpamProtection();
+            this.setupWizard();
+            this.setupSubmission();
+            this.setupDrafts();
+            this.setupSiteAudit();
+        }
+        
+        setupWizard() {
+            this.steps = Array.from(this.form.querySelectorAll('.form-step'));
+            if (!this.steps.length) return;
+            
+            this.progressItems = Array.from(this.form.querySelectorAll('.form-progress-item'));
+            this.backButton = this.form.querySelector('[data-step-back]');
+            this.nextButton = this.form.querySelector('[data-step-next]');
+            this.review = this.form.querySelector('.form-review');
+            this.outcome = document.querySelector('.form-outcome[data-outcome="not-fit"]');
+            
+            if (this.backButton) {
+                this.disposables.listen(this.backButton, 'click', () => this.goToStep(this.currentStep - 1));
+            }
+            
+            if (this.nextButton) {
+                this.disposables.listen(this.nextButton, 'click', () => this.nextStep());
+            }
+            
+            // Review screen "Edit" buttons are rendered dynamically, so delegate
+            if (this.review) {
+                this.disposables.listen(this.review, 'click', (e) => {
+                    const editButton = e.target.closest('[data-edit-step]');
+                    if (editButton) {
+                        this.goToStep(parseInt(editButton.dataset.editStep, 10));
+                    }
+                });
+            }
+            
+            if (this.outcome) {
+                const restart = this.outcome.querySelector('[data-outcome-restart]');
+                if (restart) {
+                    this.disposables.listen(restart, 'click', () => this.restart());
+                }
+            }
+            
+            // Review rows copy label and option text, so rebuild them in the new language
+            this.disposables.add(events.on('locale:change', () => {
+                if (this.isLastStep()) this.renderReview();
+            }));
+            
+            this.goToStep(0, { focus: false });
+        }
+        
+        isLastStep() {
+            return this.currentStep === this.steps.length - 1;
+        }
+        
+        getStepFields(stepIndex) {
+            const step = this.steps[stepIndex];
+            if (!step) return [];
+            
+            // Document order, so the review screen reads the same as the form
+            return Array.from(step.querySelectorAll('[name]'))
+                .map(input => input.name)
+                .filter(fieldName => this.fields[fieldName]);
+        }
+        
+        validateStep(stepIndex) {
+            return this.validator.validateAll(this.getStepFields(stepIndex));
+        }
+        
+        async nextStep() {
+            if (!(await this.validateStep(this.currentStep))) {
+                this.reportInvalid(this.currentStep);
+                this.focusFirstInvalid(this.currentStep);
+                return;
+            }
+            
+            this.goToStep(this.currentStep + 1);
+        }
+        
+        goToStep(stepIndex, { focus = true } = {}) {
+            if (stepIndex < 0 || stepIndex >= this.steps.length) return;
+            
+            this.currentStep = stepIndex;
+            const lastStep = this.isLastStep();
+            
+            this.steps.forEach((step, index) => {
+                step.hidden = index !== stepIndex;
+            });
+            
+            this.progressItems.forEach((item, index) => {
+                item.classList.toggle('is-complete', index < stepIndex);
+                if (index === stepIndex) {
+                    item.setAttribute('aria-current', 'step');
+                } else {
+                    item.removeAttribute('aria-current');
+                }
+            });
+            
+            if (this.backButton) this.backButton.hidden = stepIndex === 0;
+            if (this.nextButton) this.nextButton.hidden = lastStep;
+            
+            const submitButton = this.form.querySelector('button[type="submit"]');
+            if (submitButton) submitButton.hidden = !lastStep;
+            
+            if (lastStep) this.renderReview();
+            events.emit('form:step', { form: this.form.id, step: this.steps[stepIndex].dataset.step, index: stepIndex });
+            if (!focus) return;
+            
+            // Review has no inputs, so focus the fieldset itself to read out its legend
+            const step = this.steps[stepIndex];
+            const firstInput = step.querySelector('input, select, textarea');
+            (lastStep || !firstInput ? step : firstInput).focus();
+            
+            const legend = step.querySelector('legend');
+            this.announce(i18n.t('form.step', {
+                step: stepIndex + 1,
+                total: this.steps.length,
+                title: legend ? legend.textContent.trim() : ''
+            }));
+        }
+        
+        focusFirstInvalid(stepIndex) {
+            this.validator.focusFirstInvalid(this.getStepFields(stepIndex));
+        }
+        
+        reportInvalid(stepIndex) {
+            const fieldNames = stepIndex === undefined ? Object.keys(this.fields) : this.getStepFields(stepIndex);
+            const step = this.steps[stepIndex];
+            
+            // Field names only - never the values the visitor typed
+            events.emit('form:invalid', {
+                form: this.form.id,
+                step: step ? step.dataset.step : null,
+                fields: fieldNames.filter(fieldName => !this.fields[fieldName].valid)
+            });
+        }
+        
+        renderReview() {
+            if (!this.review) return;
+            
+            this.review.innerHTML = '';
+            
+            this.steps.slice(0, -1).forEach((step, stepIndex) => {
+                this.getStepFields(stepIndex).forEach(fieldName => {
+                    const { input } = this.fields[fieldName];
+                    const label = this.form.querySelector(`label[for="${input.id}"]`);
+                    const value = input.tagName === 'SELECT' && input.value
+                        ? input.options[input.selectedIndex].text
+                        : input.value.trim();
+                    
+                    const row = document.createElement('div');
+                    row.className = 'form-review-item';
+                    
+                    const term = document.createElement('dt');
+                    term.textContent = label ? label.textContent.replace('*', '').trim() : fieldName;
+                    
+                    const detail = document.createElement('dd');
+                    detail.textContent = value || i18n.t('form.review.empty');
+                    
+                    const edit = document.createElement('button');
+                    edit.type = 'button';
+                    edit.className = 'form-review-edit';
+                    edit.dataset.editStep = stepIndex;
+                    edit.textContent = i18n.t('form.review.edit');
+                    edit.setAttribute('aria-label', i18n.t('form.review.editLabel', { field: term.textContent }));
+                    
+                    detail.appendChild(edit);
+                    row.append(term, detail);
+                    this.review.appendChild(row);
+                });
+            });
+        }
+        
+        evaluateFit() {
+            const unmet = this.fitCriteria.filter(({ field, test }) => 
+                this.fields[field] && !test(this.fields[field].input.value)
+            );
+            
+            return {
+                qualified: unmet.length === 0,
+                unmet: unmet.map(({ field }) => field)
+            };
+        }
+        
+        showNotFitOutcome(fit) {
+            if (!this.outcome) return false;
+            
+            const reasons = this.outcome.querySelector('.form-outcome-reasons');
+            if (reasons) {
+                reasons.innerHTML = '';
+                this.fitCriteria
+                    .filter(({ field }) => fit.unmet.includes(field))
+                    .forEach(({ reason }) => {
+                        const item = document.createElement('li');
+                        item.textContent = i18n.t(...reason);
+                        reasons.appendChild(item);
+                    });
+            }
+            
+            this.form.hidden = true;
+            this.outcome.hidden = false;
+            this.outcome.focus();
+            return true;
+        }
+        
+        restart() {
+            if (this.outcome) this.outcome.hidden = true;
+            this.form.hidden = false;
+            this.setStatus('', '');
+            this.goToStep(0);
+        }
+        
+        setupSubmitter() {
+            this.status = this.form.querySelector('.form-status');
+            this.disposables.add(() => this.submitter.stop());
+            this.submitter = this.createSubmitter();
+        }
+        
+        createSubmitter() {
+            const { endpoint, transport, mailto } = this.form.dataset;
+            
+            return new LeadSubmitter({
+                endpoint: endpoint || config.leadEndpoint,
+                transports: transport ? transport.split(',').map(name => name.trim()) : config.leadTransports,
+                mailto: mailto || config.leadMailto,
+                timeout: config.submitTimeout,
+                onQueuedDelivery: () => {
+                    this.announce(i18n.t('form.queueDelivered'));
+                }
+            });
+        }
+        
+        // Public API: send leads somewhere else from now on, e.g. the waitlist once the offer closes
+        setEndpoint(endpoint) {
+            if (!this.form || this.form.dataset.endpoint === endpoint) return;
+            
+            this.form.dataset.endpoint = endpoint;
+            this.form.setAttribute('action', endpoint);
+            this.submitter.stop();
+            this.submitter = this.createSubmitter();
+        }
+        
+        setupSpamProtection() {
+            this.spamGuard = new SpamGuard(this.form);
+            this.disposables.add(() => this.spamGuard.destroy());
+        }
+        
+        cacheFormElements() {
+            // Submission is driven by the wizard below, so the validator leaves submit events alone
+            this.validator = FormValidator.claim(this.form);
+            this.disposables.add(() => this.validator.destroy());
+            this.fields = this.validator.fields;
+        }
+        
+        validateField(fieldName) {
+            return this.validator.validateField(fieldName);
+        }
+        
+        // Public API: fill empty fields from elsewhere on the page, e.g. { notes: 'Do you work with orthodontists?' }
+        prefill(values) {
+            Object.entries(values).forEach(([fieldName, value]) => {
+                const field = this.fields[fieldName];
+                if (!field || field.input.value.trim()) return;
+                
+                field.input.value = value;
+                field.input.dispatchEvent(new Event('input', { bubbles: true }));
+            });
+        }
+        
+        // A valid website gets an instant automated check, shown inline and sent along with the lead
+        setupSiteAudit() {
+            const card = this.form.querySelector('[data-site-audit]');
+            const field = this.fields.website;
+            if (!card || !field || !config.siteAuditEndpoint) return;
+            
+            this.sitePreview = new SiteAuditPreview(card);
+            this.disposables.add(() => this.sitePreview.destroy());
+            
+            const preview = utils.debounce(() => this.previewSite(), 600);
+            this.disposables.listen(field.input, 'input', preview);
+            this.disposables.listen(field.input, 'change', preview);
+            this.disposables.listen(this.form, 'reset', () => this.sitePreview.clear());
+            
+            this.disposables.listen(card, 'click', (e) => {
+                if (e.target.closest('[data-site-audit-retry]')) this.previewSite({ retry: true });
+            });
+            
+            this.disposables.add(events.on('locale:change', () => this.sitePreview.render()));
+        }
+        
+        async previewSite({ retry = false } = {}) {
+            if (!this.sitePreview) return;
+            
+            const { input } = this.fields.website;
+            const url = input.value.trim();
+            
+            if (!url || !(await this.validateField('website'))) {
+                this.sitePreview.clear();
+                return;
+            }
+            // Typing carried on while the reachability check ran - the newer value previews itself
+            if (input.value.trim() !== url) return;
+            
+            const result = await (retry ? this.sitePreview.retry() : this.sitePreview.preview(url));
+            if (this.sitePreview.url !== url || this.sitePreview.state === 'loading') return;
+            
+            events.emit('form:site-audit', {
+                form: this.form.id,
+                state: this.sitePreview.state,
+                localVisibility: result && 'localVisibility' in result ? result.localVisibility : null
+            });
+        }
+        
+        // Answers are autosaved on this device, so a visitor called away mid-form can pick up on their next visit
+        setupDrafts() {
+            this.draftKey = `armanleads:draft:${this.form.id}`;
+            this.draftPrompt = this.form.querySelector('[data-draft-prompt]');
+            this.draftNote = this.form.querySelector('[data-draft-saved]');
+            this.abandonedEmail = null;
+            
+            const save = utils.debounce(() => this.saveDraft(), config.draftSaveDelay);
+            this.disposables.listen(this.form, 'input', save);
+            this.disposables.listen(this.form, 'change', save);
+            this.disposables.add(events.on('form:step', ({ form }) => {
+                if (form === this.form.id) save();
+            }));
+            // A save still waiting on the debounce must not outlive the controller
+            this.disposables.add(() => {
+                this.draftKey = null;
+            });
+            
+            this.disposables.listen(this.form, 'click', (e) => {
+                const trigger = e.target.closest('[data-draft-action]');
+                if (!trigger) return;
+                
+                const action = trigger.dataset.draftAction;
+                if (action === 'restore') this.restoreDraft();
+                if (action === 'discard') this.discardDraft();
+                if (action === 'clear') this.clearSavedData();
+            });
+            
+            this.disposables.add(events.on('locale:change', () => this.renderDraftState()));
+            this.disposables.listen(window, 'pagehide', () => this.sendAbandonment());
+            
+            // Until the visitor answers the prompt, autosave holds off rather than overwrite the old draft
+            this.draftPending = Boolean(this.readDraft());
+            this.renderDraftState();
+            if (this.draftPending) events.emit('form:draft', { form: this.form.id, action: 'offer' });
+        }
+        
+        readDraft() {
+            if (!this.draftKey) return null;
+            
+            const stored = storage.get(this.draftKey);
+            if (!stored || !stored.values || Date.now() > stored.expires) {
+                storage.remove(this.draftKey);
+                return null;
+            }
+            return stored;
+        }
+        
+        getDraftValues() {
+            const values = {};
+            Object.entries(this.fields).forEach(([fieldName, { input }]) => {
+                if (input.value.trim()) values[fieldName] = input.value;
+            });
+            return values;
+        }
+        
+        saveDraft() {
+            if (!this.draftKey || this.draftPending) return;
+            
+            const values = this.getDraftValues();
+            if (Object.keys(values).length) {
+                const now = Date.now();
+                storage.set(this.draftKey, {
+                    values,
+                    step: this.currentStep,
+                    savedAt: now,
+                    expires: now + config.draftMaxAgeHours * 60 * 60 * 1000
+                });
+            } else {
+                storage.remove(this.draftKey);
+            }
+            
+            this.renderDraftState();
+        }
+        
+        restoreDraft() {
+            const draft = this.readDraft();
+            this.draftPending = false;
+            this.renderDraftState();
+            if (!draft) return;
+            
+            Object.entries(draft.values).forEach(([fieldName, value]) => {
+                const field = this.fields[fieldName];
+                if (field) field.input.value = value;
+            });
+            
+            events.emit('form:draft', { form: this.form.id, action: 'restore' });
+            this.goToStep(Math.min(draft.step || 0, this.steps.length - 1));
+            this.announce(i18n.t('form.draft.restored'));
+        }
+        
+        discardDraft() {
+            this.clearDraft();
+            events.emit('form:draft', { form: this.form.id, action: 'discard' });
+            this.goToStep(0);
+        }
+        
+        clearDraft() {
+            this.draftPending = false;
+            if (this.draftKey) storage.remove(this.draftKey);
+            this.renderDraftState();
+        }
+        
+        // Public API: the "clear my data" control - forget the saved draft and empty the form
+        clearSavedData() {
+            this.clearDraft();
+            this.form.reset();
+            this.validator.reset();
+            this.setStatus('', '');
+            events.emit('form:draft', { form: this.form.id, action: 'clear' });
+            this.goToStep(0, { focus: false });
+            
+            const firstInput = this.steps.length && this.steps[0].querySelector('input, select, textarea');
+            if (firstInput) firstInput.focus();
+            this.announce(i18n.t('form.draft.cleared'));
+        }
+        
+        renderDraftState() {
+            const draft = this.readDraft();
+            
+            if (this.draftPrompt) {
+                this.draftPrompt.hidden = !(draft && this.draftPending);
+                
+                const meta = this.draftPrompt.querySelector('[data-draft-meta]');
+                if (meta && draft) {
+                    const time = i18n.formatDate(new Date(draft.savedAt), { dateStyle: 'medium', timeStyle: 'short' });
+                    meta.textContent = i18n.t('form.draft.savedAt', { time });
+                }
+            }
+            
+            if (this.draftNote) this.draftNote.hidden = !draft || this.draftPending;
+        }
+        
+        // Opt-in through config.abandonEndpoint, and only with marketing consent: someone who typed a valid
+        // email and leaves without sending gets a single follow-up beacon
+        sendAbandonment() {
+            const endpoint = this.form.dataset.abandonEndpoint || config.abandonEndpoint;
+            const email = this.fields.email ? this.fields.email.input.value.trim() : '';
+            const consent = window.ArmanLeadsApp?.getController('consent');
+            
+            if (!endpoint || !validators.email.validate(email) || email === this.abandonedEmail) return;
+            if (!consent || !consent.has('marketing')) return;
+            
+            const transport = new BeaconTransport(endpoint);
+            if (!transport.isSupported()) return;
+            
+            // pagehide fires again each time a page restored from the back/forward cache is left
+            this.abandonedEmail = email;
+            const step = this.steps[this.currentStep] ? this.steps[this.currentStep].dataset.step : null;
+            
+            transport.send({
+                id: utils.uid(),
+                form: this.form.id,
+                fields: this.getDraftValues(),
+                step,
+                page: window.location.href,
+                abandonedAt: new Date().toISOString(),
+                metadata: this.collectMetadata()
+            }).catch(error => console.warn('Abandoned lead beacon failed:', error));
+            
+            events.emit('form:abandon', { form: this.form.id, step });
+        }
+        
+        setupSubmission() {
+            this.disposables.listen(this.form, 'submit', (e) => {
+                e.preventDefault();
+                this.handleSubmit();
+            });
+        }
+        
+        async handleSubmit() {
+            // Enter in a field on an earlier step advances instead of submitting
+            if (this.steps.length && !this.isLastStep()) {
+                this.nextStep();
+                return;
+            }
+            
+            const submitButton = this.form.querySelector('button[type="submit"]');
+            if (!submitButton || submitButton.disabled) return;
+            
+            // Validate all fields, then send the visitor back to the first step with a problem
+            let invalidStep = -1;
+            for (let index = 0; index < this.steps.length && invalidStep === -1; index++) {
+                if (!(await this.validateStep(index))) invalidStep = index;
+            }
+            const isFormValid = this.steps.length ? invalidStep === -1 : await this.validator.validateAll();
+            
+            if (!isFormValid) {
+                console.warn('Form validation failed');
+                this.reportInvalid(invalidStep === -1 ? undefined : invalidStep);
+                if (invalidStep !== -1) {
+                    this.goToStep(invalidStep);
+                    this.focusFirstInvalid(invalidStep);
+                } else {
+                    this.validator.focusFirstInvalid();
+                }
+                return;
+            }
+            
+            const retryAfter = this.spamGuard.checkRate();
+            if (retryAfter) {
+                const message = i18n.t('form.rateLimited', { minutes: Math.ceil(retryAfter / 60000) });
+                events.emit('form:spam', { form: this.form.id, verdict: 'rate-limited', signals: [] });
+                this.setStatus(message, 'error');
+                this.announce(message);
+                return;
+            }
+            
+            this.showLoadingState(submitButton);
+            this.setStatus('', '');
+            
+            const payload = this.buildPayload();
+            await this.spamGuard.ready();
+            const assessment = this.spamGuard.assess(payload.fields);
+            
+            if (assessment.verdict !== 'pass') {
+                events.emit('form:spam', { form: this.form.id, verdict: assessment.verdict, signals: assessment.signals });
+            }
+            
+            // Near-certain bots are told it worked, and nothing is sent
+            if (assessment.verdict === 'block') {
+                this.clearDraft();
+                this.showSuccessState(submitButton);
+                this.setStatus(i18n.t('form.sent'), 'success');
+                this.form.reset();
+                this.validator.reset();
+                this.goToStep(0, { focus: false });
+                return;
+            }
+            
+            if (assessment.verdict === 'challenge' && assessment.signals.includes('disposable-email')) {
+                this.restoreButton(submitButton);
+                this.rejectEmail();
+                return;
+            }
+            
+            if (assessment.verdict === 'challenge') submitButton.textContent = i18n.t('form.verifying');
+            payload.spam = await this.spamGuard.report(assessment);
+            
+            const result = await this.submitter.submit(payload);
+            if (result.state !== 'failed') {
+                this.spamGuard.recordSubmission();
+                this.spamGuard.reset();
+                this.clearDraft();
+            }
+            
+            events.emit('form:submit', {
+                form: this.form.id,
+                state: result.state,
+                transport: result.transport || null,
+                qualified: payload.fit.qualified
+            });
+            
+            if (result.state !== 'failed' && !payload.fit.qualified) {
+                this.restoreButton(submitButton);
+                this.form.reset();
+                this.validator.reset();
+                this.goToStep(0, { focus: false });
+                if (this.showNotFitOutcome(payload.fit)) {
+                    this.announce(i18n.t('form.notFit'));
+                    return;
+                }
+            }
+            
+            if (result.state === 'sent') {
+                const message = result.message || i18n.t(result.confirmed ? 'form.sent' : 'form.sentUnconfirmed');
+                this.showSuccessState(submitButton);
+                this.setStatus(message, 'success');
+                this.announce(message);
+                this.form.reset();
+                this.validator.reset();
+                this.goToStep(0, { focus: false });
+            } else if (result.state === 'queued') {
+                // No status means the request never reached us; otherwise the server is the one struggling
+                const message = i18n.t(result.error && result.error.status ? 'form.queuedRetry' : 'form.queued');
+                this.restoreButton(submitButton);
+                this.setStatus(message, 'pending');
+                this.announce(message);
+                this.form.reset();
+                this.validator.reset();
+                this.goToStep(0, { focus: false });
+            } else {
+                const message = result.error && result.error.status
+                    ? i18n.t('form.failedWithReason', { reason: result.error.message })
+                    : i18n.t('form.failed');
+                this.restoreButton(submitButton);
+                this.setStatus(message, 'error', result.mailtoHref);
+                this.announce(message);
+            }
+        }
+        
+        // Throwaway address plus another spam signal - ask for one we can actually reach
+        rejectEmail() {
+            const field = this.fields.email;
+            if (!field) return;
+            
+            field.valid = false;
+            this.validator.updateFieldState(field.input, field.error, false, i18n.t('form.disposableEmail'));
+            
+            const stepIndex = this.steps.findIndex(step => step.contains(field.input));
+            if (stepIndex !== -1) this.goToStep(stepIndex, { focus: false });
+            field.input.focus();
+        }
+        
+        buildPayload() {
+            const fields = {};
+            Object.entries(this.fields).forEach(([fieldName, { input }]) => {
+                fields[fieldName] = input.value.trim();
+            });
+            
+            return {
+                id: utils.uid(),
+                form: this.form.id,
+                fields,
+                fit: this.evaluateFit(),
+                siteAudit: this.sitePreview ? this.sitePreview.getResult(fields.website) : null,
+                page: window.location.href,
+                submittedAt: new Date().toISOString(),
+                metadata: this.collectMetadata()
+            };
+        }
+        
+        collectMetadata() {
+            // Other controllers contribute lead context by implementing getLeadMetadata()
+            const metadata = {};
+            const controllers = window.ArmanLeadsApp ? Object.values(window.ArmanLeadsApp.controllers) : [];
+            
+            controllers.forEach(controller => {
+                if (controller === this || typeof controller.getLeadMetadata !== 'function') return;
+                
+                try {
+                    Object.assign(metadata, controller.getLeadMetadata());
+                } catch (error) {
+                    console.warn('Could not collect lead metadata:', error);
+                }
+            });
+            
+            return metadata;
+        }
+        
+        announce(message) {
+            const accessibility = window.ArmanLeadsApp?.getController('accessibility');
+            if (accessibility) {
+                accessibility.announce(message);
+            }
+        }
+        
+        setStatus(message, state, mailtoHref = '') {
+            if (!this.status) return;
+            
+            this.status.textContent = message;
+            this.status.dataset.state = state;
+            this.status.hidden = !message;
+            
+            if (mailtoHref) {
+                const link = document.createElement('a');
+                link.href = mailtoHref;
+                link.textContent = i18n.t('form.mailtoFallback');
+                this.status.append(' ', link);
+            }
+        }
+        
+        showLoadingState(button) {
+            const originalText = button.textContent;
+            button.textContent = i18n.t('form.sending');
+            button.disabled = true;
+            button.style.opacity = '0.7';
+            button.dataset.originalText = originalText;
+        }
+        
+        showSuccessState(button) {
+            button.textContent = i18n.t('form.sentButton');
+            button.style.backgroundColor = 'var(--accent-emerald)';
+            button.style.opacity = '1';
+            
+            this.disposables.timeout(() => this.restoreButton(button), 3000);
+        }
+        
+        restoreButton(button) {
+            button.textContent = button.dataset.originalText;
+            button.style.backgroundColor = '';
+            button.style.opacity = '';
+            button.disabled = false;
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            this.steps = [];
+            this.currentStep = 0;
+        }
+    }
+    
+    // ROI Calculator for the Pricing Section
+    class ROICalculatorController {
+        constructor() {
+            this.root = document.getElementById('roi-calculator');
+            this.inputs = {};
+            this.scenario = null;
+            this.source = 'default';
+            this.queryPrefix = 'roi_';
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.root) return;
+            
+            const { setupFee, monthlyFee, firstMonthDiscount, ramp } = this.root.dataset;
+            this.setupFee = Number(setupFee) || 0;
+            this.monthlyFee = Number(monthlyFee) || 0;
+            this.firstMonthDiscount = Number(firstMonthDiscount) || 0;
+            this.ramp = (ramp || '1').split(',').map(Number).filter(factor => factor >= 0);
+            
+            this.root.querySelectorAll('[data-roi-input]').forEach(input => {
+                this.inputs[input.dataset.roiInput] = input;
+            });
+            
+            this.restoreFromQuery();
+            this.setupInputs();
+            this.setupShare();
+            this.update();
+            
+            this.disposables.add(events.on('locale:change', () => this.update()));
+        }
+        
+        restoreFromQuery() {
+            const params = new URLSearchParams(window.location.search);
+            
+            Object.entries(this.inputs).forEach(([key, input]) => {
+                const raw = params.get(`${this.queryPrefix}${key}`);
+                if (raw === null || raw === '' || isNaN(Number(raw))) return;
+                
+                input.value = utils.clamp(Number(raw), Number(input.min), Number(input.max));
+                this.source = 'shared-link';
+            });
+        }
+        
+        setupInputs() {
+            const syncQuery = utils.debounce(() => this.updateQuery(), 300);
+            const announce = utils.debounce(() => this.announceSummary(), 800);
+            
+            Object.values(this.inputs).forEach(input => {
+                this.disposables.listen(input, 'input', () => {
+                    this.source = 'visitor';
+                    this.update();
+                    syncQuery();
+                    announce();
+                });
+            });
+        }
+        
+        setupShare() {
+            const shareButton = this.root.querySelector('[data-roi-share]');
+            if (!shareButton) return;
+            
+            this.disposables.listen(shareButton, 'click', () => {
+                this.updateQuery();
+                const url = window.location.href;
+                const accessibility = window.ArmanLeadsApp?.getController('accessibility');
+                
+                const copied = navigator.clipboard && navigator.clipboard.writeText
+                    ? navigator.clipboard.writeText(url)
+                    : Promise.reject(new Error('Clipboard unavailable'));
+                
+                copied.then(() => {
+                    shareButton.textContent = i18n.t('roi.copied');
+                    if (accessibility) accessibility.announce(i18n.t('roi.copiedAnnouncement'));
+                }).catch(() => {
+                    // The address bar already holds the shareable URL
+                    shareButton.textContent = i18n.t('roi.copyFallback');
+                }).finally(() => {
+                    this.disposables.timeout(() => { shareButton.textContent = i18n.t('roi.share'); }, 3000);
+                });
+            });
+        }
+        
+        updateQuery() {
+            if (!window.history || !window.history.replaceState) return;
+            
+            const url = new URL(window.location.href);
+            Object.entries(this.inputs).forEach(([key, input]) => {
+                url.searchParams.set(`${this.queryPrefix}${key}`, input.value);
+            });
+            window.history.replaceState(window.history.state, '', url);
+        }
+        
+        getValues() {
+            const values = {};
+            Object.entries(this.inputs).forEach(([key, input]) => {
+                values[key] = Number(input.value) || 0;
+            });
+            return values;
+        }
+        
+        calculate({ value = 0, patients = 0, spend = 0 }) {
+            const months = [];
+            const monthlyRevenue = value * patients;
+            let cumulative = -this.setupFee;
+            let breakEvenMonth = null;
+            let yearRevenue = 0;
+            let yearCost = this.setupFee;
+            
+            for (let month = 1; month <= 12; month++) {
+                const ramp = this.ramp[Math.min(month - 1, this.ramp.length - 1)];
+                const fee = month === 1 ? this.monthlyFee * (1 - this.firstMonthDiscount) : this.monthlyFee;
+                const revenue = monthlyRevenue * ramp;
+                const cost = fee + spend;
+                
+                cumulative += revenue - cost;
+                yearRevenue += revenue;
+                yearCost += cost;
+                
+                if (breakEvenMonth === null && cumulative >= 0) {
+                    breakEvenMonth = month;
+                }
+                
+                months.push({ month, revenue, cost, cumulative });
+            }
+            
+            return {
+                monthlyRevenue,
+                monthlyCost: this.monthlyFee + spend,
+                monthlyNet: monthlyRevenue - this.monthlyFee - spend,
+                firstMonthCost: this.setupFee + this.monthlyFee * (1 - this.firstMonthDiscount) + spend,
+                breakEvenMonth,
+                yearRevenue,
+                yearCost,
+                yearNet: cumulative,
+                months
+            };
+        }
+        
+        formatValue(input) {
+            return input.dataset.format === 'currency'
+                ? i18n.formatCurrency(Number(input.value))
+                : i18n.formatNumber(Number(input.value));
+        }
+        
+        update() {
+            const values = this.getValues();
+            const results = this.calculate(values);
+            this.scenario = { values, results };
+            
+            Object.entries(this.inputs).forEach(([key, input]) => {
+                const formatted = this.formatValue(input);
+                input.setAttribute('aria-valuetext', formatted);
+                
+                const display = this.root.querySelector(`[data-roi-display="${key}"]`);
+                if (display) display.textContent = formatted;
+            });
+            
+            const outputs = {
+                monthlyRevenue: i18n.formatCurrency(results.monthlyRevenue),
+                monthlyCost: i18n.formatCurrency(results.monthlyCost),
+                monthlyNet: i18n.formatCurrency(results.monthlyNet),
+                breakEven: results.breakEvenMonth ? i18n.t('roi.month', { month: results.breakEvenMonth }) : i18n.t('roi.noBreakEven'),
+                yearNet: i18n.formatCurrency(results.yearNet)
+            };
+            
+            Object.entries(outputs).forEach(([key, text]) => {
+                const output = this.root.querySelector(`[data-roi-output="${key}"]`);
+                if (!output) return;
+                
+                output.textContent = text;
+                output.classList.toggle('is-negative', key in results && results[key] < 0);
+            });
+            
+            this.renderChart(results.months);
+            this.updateSummary(values, results);
+        }
+        
+        renderChart(months) {
+            const chart = this.root.querySelector('.roi-chart');
+            if (!chart) return;
+            
+            const peak = Math.max(1, ...months.map(({ cumulative }) => Math.abs(cumulative)));
+            chart.innerHTML = '';
+            
+            months.forEach(({ month, cumulative }) => {
+                const bar = document.createElement('li');
+                bar.className = `roi-chart-bar${cumulative < 0 ? ' is-negative' : ''}`;
+                bar.style.setProperty('--roi-bar', (Math.abs(cumulative) / peak).toFixed(3));
+                bar.title = i18n.t('roi.monthValue', { month, amount: cumulative });
+                chart.appendChild(bar);
+            });
+        }
+        
+        updateSummary({ value, patients }, results) {
+            const summary = document.querySelector('[data-roi-summary]');
+            if (!summary) return;
+            
+            const net = results.monthlyNet;
+            summary.textContent = net >= 0
+                ? i18n.t('roi.summaryProfit', { patients, value, revenue: results.monthlyRevenue, net })
+                : i18n.t('roi.summaryLoss', { patients, value, net: Math.abs(net) });
+        }
+        
+        announceSummary() {
+            const accessibility = window.ArmanLeadsApp?.getController('accessibility');
+            if (!accessibility || !this.scenario) return;
+            
+            const { results } = this.scenario;
+            const breakEven = results.breakEvenMonth
+                ? i18n.t('roi.announceBreakEven', { month: results.breakEvenMonth })
+                : i18n.t('roi.announceNoBreakEven');
+            accessibility.announce(i18n.t('roi.announce', { net: results.monthlyNet, breakEven, yearNet: results.yearNet }));
+        }
+        
+        getLeadMetadata() {
+            if (!this.scenario) return {};
+            
+            const { values, results } = this.scenario;
+            return {
+                roiScenario: {
+                    source: this.source,
+                    patientValue: values.value,
+                    patientsPerMonth: values.patients,
+                    adSpend: values.spend,
+                    monthlyNet: Math.round(results.monthlyNet),
+                    breakEvenMonth: results.breakEvenMonth,
+                    yearNet: Math.round(results.yearNet)
+                }
+            };
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            this.inputs = {};
+        }
+    }
+    
+    // Call Scheduler
+    // Availability is read from GET <data-availability-endpoint>?from=&to=&tz= and looks like
+    // { timezone, slotMinutes, bufferMinutes, blackoutDates: ['YYYY-MM-DD'], windows: [{ start, end }], busy: [{ start, end }] }
+    // with ISO timestamps. Blackout dates are days in the host timezone; everything shown to the
+    // visitor is in their own timezone. The booking endpoint answers 409 when a slot was just taken.
+    class SchedulerController {
+        constructor() {
+            this.container = document.getElementById('scheduler');
+            this.toggle = document.querySelector('[data-scheduler-toggle]');
+            this.timezone = this.getVisitorTimezone();
+            this.slotsByDay = new Map();
+            this.taken = new Set();
+            this.formatters = new Map();
+            this.selectedDay = null;
+            this.selectedSlot = null;
+            this.loaded = false;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.container) return;
+            
+            const { dataset } = this.container;
+            this.endpoint = dataset.availabilityEndpoint || config.availabilityEndpoint;
+            this.settings = {
+                slotMinutes: parseInt(dataset.slotMinutes, 10) || 15,
+                bufferMinutes: parseInt(dataset.bufferMinutes, 10) || 0,
+                minNoticeMinutes: parseInt(dataset.minNoticeMinutes, 10) || 0,
+                daysAhead: parseInt(dataset.daysAhead, 10) || 21,
+                blackoutDates: (dataset.blackoutDates || '').split(',').map(date => date.trim()).filter(Boolean)
+            };
+            
+            this.calendar = this.container.querySelector('.scheduler-calendar');
+            this.monthLabel = this.container.querySelector('.scheduler-month');
+            this.monthButtons = this.container.querySelectorAll('[data-scheduler-month]');
+            this.weekdays = this.container.querySelector('[data-scheduler-weekdays]');
+            this.daysBody = this.container.querySelector('[data-scheduler-days]');
+            this.slotsPanel = this.container.querySelector('.scheduler-slots');
+            this.slotsTitle = this.container.querySelector('.scheduler-slots-title');
+            this.slotList = this.container.querySelector('[data-scheduler-slots]');
+            this.status = this.container.querySelector('[data-scheduler-status]');
+            this.form = this.container.querySelector('.scheduler-form');
+            this.selection = this.container.querySelector('[data-scheduler-selection]');
+            this.confirmation = this.container.querySelector('.scheduler-confirmation');
+            
+            const now = new Date();
+            this.viewMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+            
+            const timezoneLabel = this.container.querySelector('[data-scheduler-timezone]');
+            if (timezoneLabel && this.timezone) {
+                timezoneLabel.textContent = this.timezone.replace(/_/g, ' ');
+            }
+            
+            this.renderWeekdays();
+            this.bindEvents();
+            this.setupForm();
+            
+            this.disposables.add(events.on('locale:change', () => this.refreshLanguage()));
+        }
+        
+        refreshLanguage() {
+            this.renderWeekdays();
+            if (!this.loaded) return;
+            
+            this.renderCalendar();
+            this.renderSlots();
+            if (this.selectedSlot) {
+                this.selection.textContent = i18n.t('scheduler.selection', { slot: this.describeSlot(this.selectedSlot) });
+            }
+        }
+        
+        getVisitorTimezone() {
+            try {
+                return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+            } catch (error) {
+                return '';
+            }
+        }
+        
+        bindEvents() {
+            // Without JavaScript the toggle is a plain tel: link, so the phone still works as a fallback
+            if (this.toggle) {
+                this.toggle.setAttribute('aria-expanded', 'false');
+                this.disposables.listen(this.toggle, 'click', (e) => {
+                    e.preventDefault();
+                    if (this.container.hidden) {
+                        this.open();
+                    } else {
+                        this.close();
+                    }
+                });
+            }
+            
+            this.monthButtons.forEach(button => {
+                this.disposables.listen(button, 'click', () => {
+                    const offset = parseInt(button.dataset.schedulerMonth, 10);
+                    this.viewMonth = new Date(this.viewMonth.getFullYear(), this.viewMonth.getMonth() + offset, 1);
+                    this.renderCalendar();
+                });
+            });
+            
+            this.disposables.listen(this.daysBody, 'click', (e) => {
+                const day = e.target.closest('.scheduler-day');
+                if (day && !day.disabled) this.selectDay(day.dataset.date);
+            });
+            
+            this.disposables.listen(this.daysBody, 'keydown', (e) => this.handleGridKeydown(e));
+            
+            this.disposables.listen(this.slotList, 'click', (e) => {
+                const slot = e.target.closest('.scheduler-slot');
+                if (slot) this.selectSlot(slot.dataset.start);
+            });
+        }
+        
+        setupForm() {
+            if (!this.form) return;
+            
+            this.validator = FormValidator.claim(this.form);
+            this.disposables.add(() => this.validator.destroy());
+            this.transport = new FetchTransport(this.form.dataset.endpoint || config.bookingEndpoint, config.submitTimeout);
+            this.formStatus = this.form.querySelector('.form-status');
+            
+            this.disposables.listen(this.form, 'submit', (e) => {
+                e.preventDefault();
+                this.book();
+            });
+        }
+        
+        open() {
+            this.container.hidden = false;
+            if (this.toggle) this.toggle.setAttribute('aria-expanded', 'true');
+            events.emit('scheduler:open', {});
+            
+            if (!this.loaded) {
+                this.loaded = true;
+                this.loadAvailability().then(() => {
+                    const firstDay = this.daysBody.querySelector('.scheduler-day[tabindex="0"]');
+                    if (firstDay) firstDay.focus();
+                });
+            }
+        }
+        
+        close() {
+            this.container.hidden = true;
+            if (this.toggle) {
+                this.toggle.setAttribute('aria-expanded', 'false');
+                this.toggle.focus();
+            }
+        }
+        
+        async loadAvailability() {
+            const from = new Date();
+            const to = new Date(from.getTime() + this.settings.daysAhead * 86400000);
+            const query = new URLSearchParams({ from: from.toISOString(), to: to.toISOString(), tz: this.timezone });
+            
+            this.setStatus(this.status, i18n.t('scheduler.loading'), 'pending');
+            this.container.setAttribute('aria-busy', 'true');
+            
+            try {
+                const response = await fetch(`${this.endpoint}?${query}`, {
+                    headers: { 'Accept': 'application/json' },
+                    credentials: 'same-origin'
+                });
+                if (!response.ok) {
+                    throw new Error(`Availability request failed with ${response.status}`);
+                }
+                
+                this.slotsByDay = this.buildSlots(await response.json(), from, to);
+                this.setStatus(this.status, this.slotsByDay.size ? '' : i18n.t('scheduler.empty'), this.slotsByDay.size ? '' : 'error');
+            } catch (error) {
+                console.warn('Could not load availability:', error);
+                this.slotsByDay = new Map();
+                this.setStatus(this.status, i18n.t('scheduler.loadFailed'), 'error');
+            } finally {
+                this.container.removeAttribute('aria-busy');
+            }
+            
+            // Jump straight to the first month with an open day
+            if (!this.selectedDay && this.slotsByDay.size) {
+                const [year, month] = Array.from(this.slotsByDay.keys()).sort()[0].split('-').map(Number);
+                this.viewMonth = new Date(year, month - 1, 1);
+            }
+            if (this.selectedDay && !this.slotsByDay.has(this.selectedDay)) {
+                this.selectedDay = null;
+            }
+            
+            this.renderCalendar();
+            this.renderSlots();
+        }
+        
+        buildSlots(data, from, to) {
+            const slotMs = (Number(data.slotMinutes) || this.settings.slotMinutes) * 60000;
+            const bufferMinutes = data.bufferMinutes !== undefined ? Number(data.bufferMinutes) : this.settings.bufferMinutes;
+            const bufferMs = (bufferMinutes || 0) * 60000;
+            const earliest = from.getTime() + this.settings.minNoticeMinutes * 60000;
+            const latest = to.getTime();
+            const blackouts = new Set(this.settings.blackoutDates.concat(data.blackoutDates || []));
+            const toRange = ({ start, end } = {}) => {
+                const range = { start: Date.parse(start), end: Date.parse(end) };
+                return isNaN(range.start) || isNaN(range.end) ? null : range;
+            };
+            const busy = (data.busy || []).map(toRange).filter(Boolean);
+            const seen = new Set();
+            const days = new Map();
+            
+            (data.windows || []).map(toRange).filter(Boolean).forEach(({ start, end }) => {
+                // Snap to the slot grid so times read :00, :15, :30, :45
+                let cursor = Math.ceil(Math.max(start, earliest) / slotMs) * slotMs;
+                
+                for (; cursor + slotMs <= Math.min(end, latest); cursor += slotMs) {
+                    const slotEnd = cursor + slotMs;
+                    const iso = new Date(cursor).toISOString();
+                    
+                    if (seen.has(iso) || this.taken.has(iso)) continue;
+                    if (busy.some(range => range.start - bufferMs < slotEnd && range.end + bufferMs > cursor)) continue;
+                    if (blackouts.has(this.getDateKey(new Date(cursor), data.timezone))) continue;
+                    
+                    seen.add(iso);
+                    const dayKey = this.getDateKey(new Date(cursor));
+                    if (!days.has(dayKey)) days.set(dayKey, []);
+                    days.get(dayKey).push({ start: new Date(cursor), end: new Date(slotEnd) });
+                }
+            });
+            
+            days.forEach(slots => slots.sort((a, b) => a.start - b.start));
+            return days;
+        }
+        
+        getDateKey(date, timeZone) {
+            if (timeZone) {
+                try {
+                    if (!this.formatters.has(timeZone)) {
+                        this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                            timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+                        }));
+                    }
+                    
+                    const parts = {};
+                    this.formatters.get(timeZone).formatToParts(date).forEach(({ type, value }) => {
+                        parts[type] = value;
+                    });
+                    return `${parts.year}-${parts.month}-${parts.day}`;
+                } catch (error) {
+                    // Unknown zone name - fall back to the visitor's calendar
+                }
+            }
+            
+            const pad = number => String(number).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+        
+        parseDateKey(key) {
+            const [year, month, day] = key.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+        
+        formatDay(date) {
+            return i18n.formatDate(date, { weekday: 'long', month: 'long', day: 'numeric' });
+        }
+        
+        formatTime(date) {
+            return i18n.formatDate(date, { hour: 'numeric', minute: '2-digit' });
+        }
+        
+        renderWeekdays() {
+            if (!this.weekdays) return;
+            
+            // 4 January 1970 was a Sunday
+            const headers = Array.from({ length: 7 }, (_, index) => {
+                const date = new Date(1970, 0, 4 + index);
+                const th = document.createElement('th');
+                th.scope = 'col';
+                th.abbr = i18n.formatDate(date, { weekday: 'long' });
+                th.textContent = i18n.formatDate(date, { weekday: 'short' });
+                return th;
+            });
+            
+            this.weekdays.replaceChildren(...headers);
+        }
+        
+        renderCalendar() {
+            const year = this.viewMonth.getFullYear();
+            const month = this.viewMonth.getMonth();
+            const today = this.getDateKey(new Date());
+            const daysInMonth = new Date(year, month + 1, 0).getDate();
+            const rows = [];
+            let row = document.createElement('tr');
+            
+            this.monthLabel.textContent = i18n.formatDate(this.viewMonth, { month: 'long', year: 'numeric' });
+            
+            for (let i = 0; i < new Date(year, month, 1).getDay(); i++) {
+                row.appendChild(document.createElement('td'));
+            }
+            
+            for (let day = 1; day <= daysInMonth; day++) {
+                const date = new Date(year, month, day);
+                const key = this.getDateKey(date);
+                const count = (this.slotsByDay.get(key) || []).length;
+                const cell = document.createElement('td');
+                const button = document.createElement('button');
+                
+                button.type = 'button';
+                button.className = 'scheduler-day';
+                button.textContent = i18n.formatNumber(day);
+                button.dataset.date = key;
+                button.disabled = !count;
+                button.tabIndex = -1;
+                button.setAttribute('aria-pressed', String(key === this.selectedDay));
+                button.setAttribute('aria-label', i18n.t('scheduler.dayLabel', { day: this.formatDay(date), count }));
+                if (key === today) button.setAttribute('aria-current', 'date');
+                
+                cell.appendChild(button);
+                row.appendChild(cell);
+                
+                if (row.children.length === 7) {
+                    rows.push(row);
+                    row = document.createElement('tr');
+                }
+            }
+            
+            if (row.children.length) {
+                while (row.children.length < 7) row.appendChild(document.createElement('td'));
+                rows.push(row);
+            }
+            
+            this.daysBody.replaceChildren(...rows);
+            
+            // Roving tabindex - the grid is a single tab stop, arrows move between days
+            const focusTarget = this.daysBody.querySelector('.scheduler-day[aria-pressed="true"]') ||
+                this.daysBody.querySelector('.scheduler-day:not(:disabled)');
+            if (focusTarget) focusTarget.tabIndex = 0;
+            
+            const now = new Date();
+            const lastDay = new Date(now.getTime() + this.settings.daysAhead * 86400000);
+            this.monthButtons.forEach(button => {
+                const offset = parseInt(button.dataset.schedulerMonth, 10);
+                button.disabled = offset < 0
+                    ? year === now.getFullYear() && month <= now.getMonth()
+                    : new Date(year, month + 1, 1) > lastDay;
+            });
+        }
+        
+        handleGridKeydown(e) {
+            const current = e.target.closest('.scheduler-day');
+            if (!current) return;
+            
+            const days = Array.from(this.daysBody.querySelectorAll('.scheduler-day'));
+            const enabled = days.filter(day => !day.disabled);
+            const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+            let target = null;
+            
+            if (e.key === 'Home') {
+                target = enabled[0];
+            } else if (e.key === 'End') {
+                target = enabled[enabled.length - 1];
+            } else if (steps[e.key]) {
+                // Skip over fully booked days in the direction of travel
+                let index = days.indexOf(current) + steps[e.key];
+                while (days[index] && days[index].disabled) index += Math.sign(steps[e.key]);
+                target = days[index];
+            }
+            
+            if (!target) return;
+            
+            e.preventDefault();
+            current.tabIndex = -1;
+            target.tabIndex = 0;
+            target.focus();
+        }
+        
+        selectDay(key) {
+            this.selectedDay = key;
+            this.selectedSlot = null;
+            if (this.form) this.form.hidden = true;
+            
+            this.renderCalendar();
+            this.renderSlots();
+            
+            const firstSlot = this.slotList.querySelector('.scheduler-slot');
+            if (firstSlot) firstSlot.focus();
+        }
+        
+        renderSlots() {
+            const slots = this.selectedDay ? this.slotsByDay.get(this.selectedDay) || [] : [];
+            
+            if (!this.selectedDay) {
+                this.slotsTitle.textContent = i18n.t('scheduler.pickDay');
+            } else {
+                const label = this.formatDay(this.parseDateKey(this.selectedDay));
+                this.slotsTitle.textContent = slots.length ? label : i18n.t('scheduler.dayFull', { day: label });
+            }
+            
+            this.slotList.replaceChildren(...slots.map(slot => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'scheduler-slot';
+                button.dataset.start = slot.start.toISOString();
+                button.textContent = this.formatTime(slot.start);
+                button.setAttribute('aria-pressed', String(slot === this.selectedSlot));
+                return button;
+            }));
+        }
+        
+        selectSlot(start) {
+            const slots = this.slotsByDay.get(this.selectedDay) || [];
+            this.selectedSlot = slots.find(slot => slot.start.toISOString() === start) || null;
+            if (!this.selectedSlot || !this.form) return;
+            
+            this.slotList.querySelectorAll('.scheduler-slot').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.start === start));
+            });
+            
+            this.selection.textContent = i18n.t('scheduler.selection', { slot: this.describeSlot(this.selectedSlot) });
+            this.setStatus(this.formStatus, '', '');
+            this.form.hidden = false;
+            
+            const firstField = this.form.querySelector('.form-input');
+            if (firstField) firstField.focus();
+        }
+        
+        describeSlot(slot) {
+            return i18n.t('scheduler.slot', {
+                day: this.formatDay(slot.start),
+                time: this.formatTime(slot.start),
+                timezone: this.timezone ? i18n.t('scheduler.timezone', { timezone: this.timezone.replace(/_/g, ' ') }) : '',
+                minutes: this.settings.slotMinutes
+            });
+        }
+        
+        async book() {
+            const submitButton = this.form.querySelector('button[type="submit"]');
+            if (!this.selectedSlot || !submitButton || submitButton.disabled) return;
+            
+            if (!(await this.validator.validateAll())) {
+                this.validator.focusFirstInvalid();
+                return;
+            }
+            
+            const slot = this.selectedSlot;
+            const fields = {};
+            Object.entries(this.validator.fields).forEach(([fieldName, { input }]) => {
+                fields[fieldName] = input.value.trim();
+            });
+            
+            // Bookings carry the same attribution/CTA context as audit leads
+            const formController = window.ArmanLeadsApp?.getController('form');
+            const payload = {
+                id: utils.uid(),
+                start: slot.start.toISOString(),
+                end: slot.end.toISOString(),
+                timezone: this.timezone,
+                fields,
+                page: window.location.href,
+                submittedAt: new Date().toISOString(),
+                metadata: formController ? formController.collectMetadata() : {}
+            };
+            
+            submitButton.disabled = true;
+            submitButton.dataset.originalText = submitButton.textContent;
+            submitButton.textContent = i18n.t('scheduler.booking');
+            this.setStatus(this.formStatus, '', '');
+            
+            try {
+                const result = await this.transport.send(payload);
+                this.taken.add(payload.start);
+                events.emit('scheduler:book', { state: 'booked', start: payload.start });
+                this.showConfirmation(payload, result.data || {});
+            } catch (error) {
+                events.emit('scheduler:book', { state: error.status === 409 ? 'conflict' : 'failed', start: payload.start });
+                
+                if (error.status === 409) {
+                    await this.handleConflict(payload.start);
+                } else {
+                    const message = error.status
+                        ? i18n.t('scheduler.failedWithReason', { reason: error.message })
+                        : i18n.t('scheduler.failed');
+                    this.setStatus(this.formStatus, message, 'error');
+                    this.announce(message);
+                }
+            } finally {
+                submitButton.textContent = submitButton.dataset.originalText;
+                submitButton.disabled = false;
+            }
+        }
+        
+        async handleConflict(start) {
+            // Someone else got there first - drop the slot locally and refresh the rest
+            this.taken.add(start);
+            this.selectedSlot = null;
+            this.form.hidden = true;
+            
+            await this.loadAvailability();
+            
+            const message = i18n.t('scheduler.conflict');
+            this.setStatus(this.status, message, 'error');
+            this.announce(message);
+            this.slotsTitle.focus();
+        }
+        
+        showConfirmation(payload, data) {
+            const email = payload.fields.email;
+            const summary = this.container.querySelector('[data-scheduler-summary]');
+            const icsLink = this.container.querySelector('[data-scheduler-ics]');
+            
+            if (summary) {
+                summary.textContent = i18n.t('scheduler.confirmed', { slot: this.describeSlot(this.selectedSlot), email });
+            }
+            if (icsLink) {
+                icsLink.href = `data:text/calendar;charset=utf-8,${encodeURIComponent(this.buildIcs(payload, data))}`;
+            }
+            
+            this.form.reset();
+            this.validator.reset();
+            this.form.hidden = true;
+            this.calendar.hidden = true;
+            this.slotsPanel.hidden = true;
+            this.confirmation.hidden = false;
+            this.confirmation.focus();
+            this.announce(i18n.t('scheduler.booked', { slot: this.describeSlot(this.selectedSlot) }));
+        }
+        
+        buildIcs(payload, data) {
+            const stamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+            const escape = text => String(text).replace(/[\;,]/g, match => `\\${match}`).replace(/\r?\n/g, '\\n');
+            
+            return [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                'PRODID:-//ArmanLeads//Call Scheduler//EN',
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                'BEGIN:VEVENT',
+                `UID:${data.id || payload.id}@armanleads.com`,
+                `DTSTAMP:${stamp(new Date())}`,
+                `DTSTART:${stamp(new Date(payload.start))}`,
+                `DTEND:${stamp(new Date(payload.end))}`,
+                `SUMMARY:${escape(i18n.t('scheduler.icsSummary', { minutes: this.settings.slotMinutes }))}`,
+                `DESCRIPTION:${escape(data.description || i18n.t('scheduler.icsDescription'))}`,
+                data.location ? `LOCATION:${escape(data.location)}` : null,
+                'END:VEVENT',
+                'END:VCALENDAR'
+            ].filter(Boolean).join('\r\n');
+        }
+        
+        setStatus(element, message, state) {
+            if (!element) return;
+            
+            element.textContent = message;
+            element.dataset.state = state;
+            element.hidden = !message;
+        }
+        
+        announce(message) {
+            const accessibility = window.ArmanLeadsApp?.getController('accessibility');
+            if (accessibility) {
+                accessibility.announce(message);
+            }
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            if (!this.container) return;
+            
+            // Back to the markup's closed panel and plain tel: link
+            this.container.hidden = true;
+            if (this.toggle) this.toggle.removeAttribute('aria-expanded');
+            this.loaded = false;
+            this.selectedDay = null;
+            this.selectedSlot = null;
+        }
+    }
+    
+    // Cookie / Consent Manager
+    // Resources marked data-consent="<category>" stay inert until that category is granted:
+    // <link data-consent-href>, <script type="text/plain" data-consent-src> and <iframe|img data-consent-src>.
+    class ConsentController {
+        constructor() {
+            this.storageKey = 'armanleads:consent';
+            this.categories = ['necessary', 'functional', 'analytics', 'marketing'];
+            this.banner = document.getElementById('consent-banner');
+            this.overlay = document.getElementById('consent-dialog');
+            this.dialog = this.overlay ? this.overlay.querySelector('[role="dialog"]') : null;
+            this.state = null;
+            this.returnFocus = null;
+            this.releaseFocus = null;
+            this.releaseEscape = null;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            this.state = this.load();
+            this.bindActions();
+            
+            if (this.state) {
+                this.applyResources();
+                events.emit('consent:change', { categories: Object.assign({}, this.state.categories) });
+            } else if (this.banner) {
+                this.banner.hidden = false;
+            }
+        }
+        
+        load() {
+            const stored = storage.get(this.storageKey);
+            if (!stored || !stored.categories) return null;
+            
+            // A new policy version or an old decision means asking again
+            if (stored.version !== config.consentVersion || Date.now() > stored.expires) {
+                storage.remove(this.storageKey);
+                return null;
+            }
+            
+            return stored;
+        }
+        
+        bindActions() {
+            this.disposables.listen(document, 'click', (e) => {
+                const trigger = e.target.closest('[data-consent-action]');
+                if (!trigger) return;
+                
+                const action = trigger.dataset.consentAction;
+                if (action === 'accept') this.save(this.buildCategories(() => true));
+                if (action === 'reject') this.save(this.buildCategories(() => false));
+                if (action === 'customize') this.openPreferences(trigger);
+                if (action === 'save') this.save(this.readPreferences());
+                if (action === 'close') this.closePreferences();
+            });
+        }
+        
+        buildCategories(decide) {
+            const categories = {};
+            this.categories.forEach(category => {
+                categories[category] = category === 'necessary' || decide(category);
+            });
+            return categories;
+        }
+        
+        readPreferences() {
+            return this.buildCategories(category => {
+                const checkbox = this.dialog && this.dialog.querySelector(`[data-consent-category="${category}"]`);
+                return Boolean(checkbox && checkbox.checked);
+            });
+        }
+        
+        // Public API
+        has(category) {
+            return category === 'necessary' || Boolean(this.state && this.state.categories[category]);
+        }
+        
+        hasDecided() {
+            return Boolean(this.state);
+        }
+        
+        onChange(handler) {
+            return events.on('consent:change', handler);
+        }
+        
+        save(categories) {
+            const now = Date.now();
+            
+            this.state = {
+                version: config.consentVersion,
+                categories,
+                timestamp: now,
+                expires: now + config.consentMaxAgeDays * 24 * 60 * 60 * 1000
+            };
+            
+            storage.set(this.storageKey, this.state);
+            
+            if (this.banner) this.banner.hidden = true;
+            this.closePreferences();
+            this.applyResources();
+            events.emit('consent:change', { categories: Object.assign({}, categories) });
+            
+            const accessibility = window.ArmanLeadsApp?.getController('accessibility');
+            if (accessibility) {
+                accessibility.announce(i18n.t('consent.saved'));
+            }
+        }
+        
+        // Public API: injected markup goes through the same gate as the page
+        scan(root) {
+            if (this.state) this.applyResources(root);
+        }
+        
+        applyResources(root = document) {
+            utils.queryAll(root, '[data-consent]').forEach(element => {
+                const granted = this.has(element.dataset.consent);
+                
+                if (granted && !element.hasAttribute('data-consent-loaded')) {
+                    this.unblock(element);
+                } else if (!granted && element.tagName === 'LINK' && element.hasAttribute('data-consent-loaded')) {
+                    // Stylesheets can be switched off again; scripts that already ran stay until reload
+                    element.disabled = true;
+                } else if (granted && element.tagName === 'LINK') {
+                    element.disabled = false;
+                }
+            });
+        }
+        
+        unblock(element) {
+            const { consentSrc, consentHref } = element.dataset;
+            
+            if (element.tagName === 'SCRIPT') {
+                // Scripts only execute when a fresh element is inserted
+                const script = document.createElement('script');
+                Array.from(element.attributes).forEach(({ name, value }) => {
+                    if (!['type', 'data-consent-src'].includes(name)) script.setAttribute(name, value);
+                });
+                if (consentSrc) {
+                    script.src = consentSrc;
+                } else {
+                    script.textContent = element.textContent;
+                }
+                script.setAttribute('data-consent-loaded', '');
+                element.replaceWith(script);
+                return;
+            }
+            
+            if (consentHref) element.setAttribute('href', consentHref);
+            if (consentSrc) element.setAttribute('src', consentSrc);
+            element.setAttribute('data-consent-loaded', '');
+        }
+        
+        openPreferences(trigger) {
+            if (!this.overlay || !this.dialog) return;
+            
+            // Reflect the current decision (or leave optional categories unticked)
+            this.dialog.querySelectorAll('[data-consent-category]').forEach(checkbox => {
+                checkbox.checked = this.has(checkbox.dataset.consentCategory);
+            });
+            
+            this.returnFocus = trigger || document.activeElement;
+            this.overlay.hidden = false;
+            document.body.classList.add('has-modal');
+            this.releaseFocus = utils.trapFocus(this.dialog);
+            
+            const accessibility = window.ArmanLeadsApp?.getController('accessibility');
+            if (accessibility) {
+                this.releaseEscape = accessibility.pushEscapeHandler(() => this.closePreferences());
+            }
+            
+            this.dialog.focus();
+        }
+        
+        closePreferences() {
+            if (!this.overlay || this.overlay.hidden) return;
+            
+            this.overlay.hidden = true;
+            document.body.classList.remove('has-modal');
+            
+            if (this.releaseFocus) this.releaseFocus();
+            if (this.releaseEscape) this.releaseEscape();
+            this.releaseFocus = null;
+            this.releaseEscape = null;
+            
+            // Return focus to whatever opened the dialog, or the banner if that has since closed
+            const target = this.returnFocus && document.contains(this.returnFocus) && !this.returnFocus.closest('[hidden]')
+                ? this.returnFocus
+                : Array.from(document.querySelectorAll('[data-consent-action="customize"]')).find(el => !el.closest('[hidden]'));
+            if (target) target.focus();
+            this.returnFocus = null;
+        }
+        
+        // Unblocked resources stay loaded - there is no undoing a script that already ran
+        destroy() {
+            this.closePreferences();
+            this.disposables.dispose();
+            if (this.banner) this.banner.hidden = true;
+        }
+    }
+    
+    // Exit-intent Lead Capture
+    // Offers the free audit once to visitors about to leave before reaching #audit: the pointer leaving
+    // through the top of the window, or on touch screens a fast flick back up or the back button, plus
+    // config.leadCaptureDwellSeconds on the page or config.leadCaptureScrollDepth of it read (null turns
+    // either off). What the dialog collects is handed to the audit form, which does the real work. It shows
+    // at most once every leadCaptureCooldownDays, and never again once #auditForm was sent from this browser.
+    class LeadCaptureController {
+        constructor() {
+            this.storageKey = 'armanleads:lead-capture';
+            this.overlay = document.getElementById('capture-dialog');
+            this.dialog = this.overlay ? this.overlay.querySelector('[role="dialog"]') : null;
+            this.form = this.dialog ? this.dialog.querySelector('form') : null;
+            this.armed = false;
+            this.reason = null;
+            this.accepted = null;
+            this.flickSpeed = 1.5;
+            this.backGuard = null;
+            this.returnFocus = null;
+            this.releaseFocus = null;
+            this.releaseEscape = null;
+            this.triggers = new Disposables();
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.dialog || !this.form) return;
+            
+            this.validator = FormValidator.claim(this.form);
+            this.disposables.add(() => this.validator.destroy());
+            this.bindActions();
+            
+            // Sending the audit form answers the question for good, on this visit and later ones
+            this.disposables.add(events.on('form:submit', ({ form, state }) => {
+                if (!elements.form || form !== elements.form.id || state === 'failed') return;
+                
+                this.saveState({ converted: true });
+                this.disarm();
+            }));
+            
+            if (!this.isSuppressed()) this.arm();
+        }
+        
+        readState() {
+            return storage.get(this.storageKey) || {};
+        }
+        
+        saveState(changes) {
+            storage.set(this.storageKey, Object.assign(this.readState(), changes));
+        }
+        
+        isSuppressed() {
+            const { converted, shownAt } = this.readState();
+            if (converted) return true;
+            
+            return Boolean(shownAt) && Date.now() - shownAt < config.leadCaptureCooldownDays * 24 * 60 * 60 * 1000;
+        }
+        
+        arm() {
+            this.armed = true;
+            this.setupExitIntent();
+            this.setupScrollTriggers();
+            this.setupBackGuard();
+            this.watchAudit();
+            
+            if (config.leadCaptureDwellSeconds) {
+                this.triggers.timeout(() => this.trigger('dwell'), config.leadCaptureDwellSeconds * 1000);
+            }
+        }
+        
+        disarm() {
+            this.armed = false;
+            this.triggers.dispose();
+        }
+        
+        // Desktop: heading for the tabs, the address bar or the close button
+        setupExitIntent() {
+            this.triggers.listen(document, 'mouseout', (e) => {
+                if (!e.relatedTarget && e.clientY <= 0) this.trigger('exit-intent');
+            });
+        }
+        
+        setupScrollTriggers() {
+            const coarse = window.matchMedia('(pointer: coarse)').matches;
+            let last = null;
+            
+            const task = {
+                read: ({ time, scrollY }) => {
+                    if (config.leadCaptureScrollDepth && utils.getScrollProgress() >= config.leadCaptureScrollDepth) {
+                        this.trigger('scroll-depth');
+                        return;
+                    }
+                    
+                    // Touch screens have no pointer to leave with - a quick flick back up is the nearest sign,
+                    // measured in px/ms between consecutive frames and ignored near the top of the page
+                    if (coarse && last && time > last.time && scrollY > windowHeight) {
+                        const speed = (last.scrollY - scrollY) / (time - last.time);
+                        if (speed > this.flickSpeed) this.trigger('scroll-up');
+                    }
+                    
+                    last = { time, scrollY };
+                }
+            };
+            
+            this.triggers.add(frames.add(task, { scroll: true }));
+        }
+        
+        // Touch screens: the first back press lands on a copy of this entry and opens the dialog instead of
+        // leaving. The copy is pushed once the visitor engages (their first tap - browsers skip entries added
+        // without a gesture), and popped again if the controller stands down before Back was pressed, so no
+        // dead entry is left behind for a later Back press to land on.
+        setupBackGuard() {
+            if (!window.matchMedia('(pointer: coarse)').matches || !window.history || !window.history.pushState) return;
+            
+            this.triggers.listen(document, 'touchend', () => {
+                const state = window.history.state || {};
+                if (state.leadCaptureGuard) return;
+                
+                // Landing back on the base entry must leave the page where the visitor is, not where they tapped
+                this.backGuard = { scrollRestoration: window.history.scrollRestoration };
+                if ('scrollRestoration' in window.history) window.history.scrollRestoration = 'manual';
+                
+                window.history.replaceState(Object.assign({}, state, { leadCaptureBase: true }), '');
+                window.history.pushState({ leadCaptureGuard: true }, '');
+            }, { once: true, passive: true });
+            
+            this.triggers.listen(window, 'popstate', (e) => {
+                if (!e.state || !e.state.leadCaptureBase) return;
+                
+                // Not a moment to interrupt - let the Back press through after all
+                if (!this.trigger('back')) window.history.back();
+            });
+            
+            this.triggers.add(() => this.releaseBackGuard());
+        }
+        
+        releaseBackGuard() {
+            if (!this.backGuard) return;
+            
+            const { scrollRestoration } = this.backGuard;
+            const restore = () => {
+                if (scrollRestoration) window.history.scrollRestoration = scrollRestoration;
+            };
+            this.backGuard = null;
+            
+            // Still on the copy: step back off it, and restore scrolling once that traversal is done
+            if (window.history.state && window.history.state.leadCaptureGuard) {
+                window.addEventListener('popstate', restore, { once: true });
+                window.history.back();
+            } else {
+                restore();
+            }
+        }
+        
+        // Reaching the audit section means the offer has been seen - nothing left to interrupt them with
+        watchAudit() {
+            const audit = document.getElementById('audit');
+            if (!audit || !('IntersectionObserver' in window)) return;
+            
+            this.triggers.observe(new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) this.disarm();
+            })).observe(audit);
+        }
+        
+        // Whether the dialog opened
+        trigger(reason) {
+            if (!this.armed) return false;
+            
+            // Never stack on the privacy dialog or interrupt someone already filling in the audit form
+            if (document.body.classList.contains('has-modal')) return false;
+            if (elements.form && elements.form.contains(document.activeElement)) return false;
+            
+            this.disarm();
+            this.open(reason);
+            return true;
+        }
+        
+        bindActions() {
+            this.disposables.listen(this.overlay, 'click', (e) => {
+                if (e.target === this.overlay || e.target.closest('[data-capture-action="close"]')) this.close('dismiss');
+            });
+            
+            this.disposables.listen(this.form, 'submit', (e) => {
+                e.preventDefault();
+                this.accept();
+            });
+        }
+        
+        open(reason) {
+            this.saveState({ shownAt: Date.now() });
+            this.reason = reason;
+            
+            this.returnFocus = document.activeElement;
+            this.overlay.hidden = false;
+            document.body.classList.add('has-modal');
+            this.releaseFocus = utils.trapFocus(this.dialog);
+            
+            const accessibility = window.ArmanLeadsApp?.getController('accessibility');
+            if (accessibility) {
+                this.releaseEscape = accessibility.pushEscapeHandler(() => this.close('dismiss'));
+            }
+            
+            this.dialog.focus();
+            events.emit('capture:open', { trigger: reason });
+        }
+        
+        close(outcome) {
+            if (!this.overlay || this.overlay.hidden) return;
+            
+            this.overlay.hidden = true;
+            document.body.classList.remove('has-modal');
+            
+            if (this.releaseFocus) this.releaseFocus();
+            if (this.releaseEscape) this.releaseEscape();
+            this.releaseFocus = null;
+            this.releaseEscape = null;
+            
+            // Accepting moves focus on to the audit form instead
+            const target = this.returnFocus;
+            if (outcome !== 'accept' && target && target !== document.body && document.contains(target) && !target.closest('[hidden]')) {
+                target.focus({ preventScroll: true });
+            }
+            this.returnFocus = null;
+            
+            events.emit('capture:close', { trigger: this.reason, outcome });
+        }
+        
+        async accept() {
+            if (!(await this.validator.validateAll())) {
+                this.validator.focusFirstInvalid();
+                return;
+            }
+            
+            const values = {};
+            Object.entries(this.validator.fields).forEach(([fieldName, { input }]) => {
+                if (input.value.trim()) values[fieldName] = input.value.trim();
+            });
+            
+            this.accepted = this.reason;
+            this.close('accept');
+            this.handOff(values);
+        }
+        
+        // Filling the audit form in place gives the answers its drafts, site check, spam checks and delivery
+        handOff(values) {
+            const form = elements.form;
+            if (!form) return;
+            
+            Object.entries(values).forEach(([fieldName, value]) => {
+                const input = form.elements[fieldName];
+                if (!input || input.value.trim() === value) return;
+                
+                input.value = value;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+            });
+            
+            const audit = document.getElementById('audit');
+            if (audit) utils.scrollToElement(audit);
+            
+            // Carry on with the first question the dialog didn't answer
+            const next = Array.from(form.querySelectorAll('.form-input')).find(input => !input.value && !input.closest('[hidden]'));
+            const target = next || form.querySelector('.form-step:not([hidden])') || form;
+            target.focus({ preventScroll: true });
+        }
+        
+        // Leads that came in through the dialog say which trigger brought them
+        getLeadMetadata() {
+            return this.accepted ? { capture: this.accepted } : {};
+        }
+        
+        destroy() {
+            this.close('dismiss');
+            this.disarm();
+            this.disposables.dispose();
+        }
+    }
+    
+    // UTM and Attribution Capture
+    // The current visit's touch is always attached to leads; remembering touches across
+    // visits is tracking, so persistence waits for "marketing" consent.
+    class AttributionController {
+        constructor() {
+            this.storageKey = 'armanleads:attribution';
+            this.params = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+            this.searchEngines = ['google.', 'bing.', 'duckduckgo.', 'yahoo.', 'yandex.', 'baidu.', 'ecosia.'];
+            this.socialNetworks = ['facebook.', 'instagram.', 'linkedin.', 't.co', 'twitter.', 'x.com', 'tiktok.'];
+            this.firstTouch = null;
+            this.lastTouch = null;
+            this.currentTouch = null;
+            this.persist = false;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            this.currentTouch = this.captureTouch();
+            
+            const stored = this.load();
+            this.firstTouch = (stored && stored.firstTouch) || this.currentTouch;
+            // Last non-direct touch: a direct revisit shouldn't erase the campaign that brought them
+            this.lastTouch = this.currentTouch.source !== '(direct)' || !stored
+                ? this.currentTouch
+                : stored.lastTouch;
+            
+            this.disposables.add(events.on('consent:change', ({ categories }) => {
+                this.persist = Boolean(categories.marketing);
+                if (this.persist) {
+                    this.save();
+                } else {
+                    storage.remove(this.storageKey);
+                }
+            }));
+        }
+        
+        load() {
+            const stored = storage.get(this.storageKey);
+            if (!stored || Date.now() > stored.expires) {
+                storage.remove(this.storageKey);
+                return null;
+            }
+            return stored;
+        }
+        
+        save() {
+            if (!this.persist) return;
+            
+            storage.set(this.storageKey, {
+                firstTouch: this.firstTouch,
+                lastTouch: this.lastTouch,
+                expires: Date.now() + config.attributionMaxAgeDays * 24 * 60 * 60 * 1000
+            });
+        }
+        
+        captureTouch() {
+            const query = new URLSearchParams(window.location.search);
+            const touch = {};
+            
+            this.params.forEach(param => {
+                const value = query.get(param);
+                if (value) touch[param] = value.slice(0, 200);
+            });
+            
+            const referrer = this.getExternalReferrer();
+            const { source, medium } = this.classify(touch, referrer);
+            
+            return Object.assign(touch, {
+                source,
+                medium,
+                referrer: referrer ? referrer.href : null,
+                landingPage: window.location.pathname,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        getExternalReferrer() {
+            if (!document.referrer) return null;
+            
+            try {
+                const referrer = new URL(document.referrer);
+                return referrer.hostname === window.location.hostname ? null : referrer;
+            } catch (error) {
+                return null;
+            }
+        }
+        
+        classify(touch, referrer) {
+            if (touch.utm_source) {
+                return { source: touch.utm_source, medium: touch.utm_medium || '(not set)' };
+            }
+            if (touch.gclid) return { source: 'google', medium: 'cpc' };
+            if (touch.fbclid) return { source: 'facebook', medium: 'paid_social' };
+            
+            if (referrer) {
+                const host = referrer.hostname.replace(/^www\./, '');
+                const matches = list => list.some(pattern => host === pattern || host.startsWith(pattern) || host.includes(`.${pattern}`));
+                
+                if (matches(this.searchEngines)) return { source: host, medium: 'organic' };
+                if (matches(this.socialNetworks)) return { source: host, medium: 'social' };
+                return { source: host, medium: 'referral' };
+            }
+            
+            return { source: '(direct)', medium: '(none)' };
+        }
+        
+        // Public API
+        getFirstTouch() {
+            return this.firstTouch ? Object.assign({}, this.firstTouch) : null;
+        }
+        
+        getLastTouch() {
+            return this.lastTouch ? Object.assign({}, this.lastTouch) : null;
+        }
+        
+        getAttribution() {
+            return {
+                firstTouch: this.getFirstTouch(),
+                lastTouch: this.getLastTouch(),
+                currentTouch: Object.assign({}, this.currentTouch)
+            };
+        }
+        
+        getLeadMetadata() {
+            return { attribution: this.getAttribution() };
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            this.persist = false;
+        }
+    }
+    
+    // Office Hours
+    // config.officeHours is written in the office's own timezone: "HH:MM-HH:MM" per weekday (an array for
+    // split days, null when closed) and holidays as "YYYY-MM-DD". The office clock is read through Intl,
+    // so every visitor gets the same answer whatever their own timezone.
+    class OfficeHours {
+        constructor({ timezone, days = {}, holidays = [] } = {}) {
+            this.days = days;
+            this.holidays = new Set(holidays);
+            this.formatter = this.createFormatter(timezone);
+        }
+        
+        createFormatter(timezone) {
+            const options = { weekday: 'short', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+            
+            try {
+                return new Intl.DateTimeFormat('en-US', Object.assign({ timeZone: timezone }, options));
+            } catch (error) {
+                console.warn(`Unknown office timezone "${timezone}", using the visitor's:`, error);
+                return new Intl.DateTimeFormat('en-US', options);
+            }
+        }
+        
+        // The office's wall clock at a moment: { weekday: 'mon', date: '2026-10-19', minutes: 545 }
+        clock(date) {
+            const parts = {};
+            this.formatter.formatToParts(date).forEach(({ type, value }) => { parts[type] = value; });
+            
+            return {
+                weekday: parts.weekday.toLowerCase().slice(0, 3),
+                date: `${parts.year}-${parts.month}-${parts.day}`,
+                minutes: (parseInt(parts.hour, 10) % 24) * 60 + parseInt(parts.minute, 10)
+            };
+        }
+        
+        // "09:00-17:00" -> { open: 540, close: 1020 }, in minutes after midnight
+        getRanges({ weekday, date }) {
+            if (this.holidays.has(date)) return [];
+            
+            const toMinutes = time => {
+                const [hours, minutes = 0] = time.trim().split(':').map(Number);
+                return hours * 60 + minutes;
+            };
+            
+            return [].concat(this.days[weekday] || [])
+                .map(range => String(range).split('-').map(toMinutes))
+                .filter(([open, close]) => open < close)
+                .map(([open, close]) => ({ open, close }))
+                .sort((a, b) => a.open - b.open);
+        }
+        
+        isOpen(date = new Date()) {
+            const clock = this.clock(date);
+            return this.getRanges(clock).some(({ open, close }) => clock.minutes >= open && clock.minutes < close);
+        }
+        
+        // When the office next opens (open = true) or closes, as a Date - null if not within a week
+        nextChange(open, date = new Date()) {
+            const start = Math.floor(date.getTime() / 60000) * 60000;
+            
+            for (let day = 0; day <= 7; day++) {
+                const moment = start + day * 24 * 60 * 60 * 1000;
+                const clock = this.clock(new Date(moment));
+                const edges = this.getRanges(clock).map(range => (open ? range.open : range.close));
+                const edge = edges.find(minutes => day > 0 || minutes > clock.minutes);
+                
+                if (edge !== undefined) return new Date(moment + (edge - clock.minutes) * 60 * 1000);
+            }
+            
+            return null;
+        }
+    }
+    
+    // Call Tracking and Callbacks
+    // Every tel: link and the JSON-LD contact number show one number from config.phoneNumbers, picked by
+    // how the visitor arrived (ads, organic or referral; anything else gets the default) so calls can be
+    // credited like form leads. The number sticks for config.attributionMaxAgeDays once marketing consent
+    // allows remembering it. Outside config.officeHours the [data-call-cta] links switch to their
+    // data-callback-i18n copy and open #callbackForm, which sends through the lead pipeline instead - behind
+    // the same SpamGuard checks as the audit form.
+    class CallTrackingController {
+        constructor() {
+            this.storageKey = 'armanleads:phone';
+            this.assignment = null;
+            this.persist = false;
+            this.open = true;
+            this.officeHours = config.officeHours ? new OfficeHours(config.officeHours) : null;
+            this.ctas = [];
+            this.form = document.getElementById('callbackForm');
+            this.validator = null;
+            this.submitter = null;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            this.assignment = this.load() || this.assign();
+            this.renderNumber();
+            
+            this.disposables.add(events.on('consent:change', ({ categories }) => {
+                this.persist = Boolean(categories.marketing);
+                if (this.persist) {
+                    this.save();
+                } else {
+                    storage.remove(this.storageKey);
+                }
+            }));
+            
+            this.setupCallbackForm();
+            this.setupCtas();
+            this.updateHours();
+            
+            this.disposables.add(events.on('locale:change', () => this.renderCallbackHours()));
+        }
+        
+        // Pool entries are "+15551234567" or { number, display }; a channel may list one or several
+        getPool(channel) {
+            const pool = config.phoneNumbers || {};
+            return [].concat(pool[channel] || [])
+                .map(entry => (typeof entry === 'string' ? { number: entry } : entry))
+                .filter(entry => entry && entry.number);
+        }
+        
+        getChannel() {
+            const attribution = window.ArmanLeadsApp?.getController('attribution');
+            const touch = attribution ? attribution.getLastTouch() : null;
+            if (!touch) return 'default';
+            
+            const medium = String(touch.medium || '').toLowerCase();
+            if (touch.gclid || touch.fbclid || ['cpc', 'ppc', 'cpm', 'display'].includes(medium) || medium.startsWith('paid')) return 'ads';
+            if (medium === 'organic') return 'organic';
+            if (medium === 'referral' || medium === 'social') return 'referral';
+            return 'default';
+        }
+        
+        assign() {
+            const channel = this.getChannel();
+            const pool = this.getPool(channel);
+            const candidates = pool.length ? pool : this.getPool('default');
+            if (!candidates.length) return null;
+            
+            const entry = candidates[Math.floor(Math.random() * candidates.length)];
+            return {
+                channel: pool.length ? channel : 'default',
+                number: entry.number,
+                display: entry.display || entry.number
+            };
+        }
+        
+        // A stored number outlives a later visit from another source, so the number they noted keeps working
+        // and keeps crediting the first campaign - unless it has since been taken out of the pool
+        load() {
+            const stored = storage.get(this.storageKey);
+            const entry = stored && Object.keys(config.phoneNumbers || {})
+                .map(channel => this.getPool(channel).find(candidate => candidate.number === stored.number))
+                .find(Boolean);
+            
+            if (!entry || Date.now() > stored.expires) {
+                storage.remove(this.storageKey);
+                return null;
+            }
+            
+            return { channel: stored.channel, number: entry.number, display: entry.display || entry.number };
+        }
+        
+        save() {
+            if (!this.persist || !this.assignment) return;
+            
+            storage.set(this.storageKey, {
+                channel: this.assignment.channel,
+                number: this.assignment.number,
+                expires: Date.now() + config.attributionMaxAgeDays * 24 * 60 * 60 * 1000
+            });
+        }
+        
+        renderNumber() {
+            if (!this.assignment) return;
+            const { number, display } = this.assignment;
+            
+            document.querySelectorAll('a[href^="tel:"]').forEach(link => {
+                link.href = `tel:${number}`;
+            });
+            document.querySelectorAll('[data-phone-display]').forEach(element => {
+                element.textContent = display;
+            });
+            
+            document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+                try {
+                    const data = JSON.parse(script.textContent);
+                    if (data['@type'] !== 'LocalBusiness' || !data.contactPoint) return;
+                    
+                    data.contactPoint.telephone = number;
+                    script.textContent = JSON.stringify(data, null, 4);
+                } catch (error) {
+                    // Someone else's malformed block - not ours to report
+                }
+            });
+        }
+        
+        setupCtas() {
+            this.ctas = Array.from(document.querySelectorAll('[data-call-cta]'));
+            
+            // Only while closed - during office hours the link dials as usual
+            this.ctas.forEach(cta => {
+                this.disposables.listen(cta, 'click', (e) => {
+                    if (this.open || !this.form) return;
+                    
+                    e.preventDefault();
+                    if (this.form.hidden) {
+                        this.openCallbackForm();
+                    } else {
+                        this.closeCallbackForm();
+                    }
+                });
+            });
+        }
+        
+        // Re-checked whenever the office opens or closes; the timer is capped so a sleeping device catches up
+        updateHours() {
+            if (!this.officeHours) return;
+            
+            const open = this.officeHours.isOpen();
+            if (open !== this.open) {
+                this.open = open;
+                this.applyHours();
+                events.emit('call:hours', { open });
+            }
+            this.renderCallbackHours();
+            
+            const next = this.officeHours.nextChange(!open);
+            const delay = next ? next.getTime() - Date.now() : Infinity;
+            this.disposables.timeout(() => this.updateHours(), utils.clamp(delay, 1000, 60 * 60 * 1000));
+        }
+        
+        // Same key swap as the offer's waitlist copy: the calling copy is parked in data-call-i18n
+        applyHours() {
+            const i18nController = window.ArmanLeadsApp?.getController('i18n');
+            
+            document.querySelectorAll('[data-office-hours-only]').forEach(element => {
+                element.hidden = !this.open;
+            });
+            
+            this.ctas.forEach(cta => {
+                if (!cta.dataset.callI18n) cta.dataset.callI18n = cta.dataset.i18n;
+                
+                if (this.open) {
+                    cta.removeAttribute('aria-controls');
+                    cta.removeAttribute('aria-expanded');
+                } else if (this.form) {
+                    cta.setAttribute('aria-controls', this.form.id);
+                    cta.setAttribute('aria-expanded', String(!this.form.hidden));
+                }
+                
+                const key = this.open ? cta.dataset.callI18n : cta.dataset.callbackI18n;
+                if (!key || cta.dataset.i18n === key) return;
+                
+                cta.dataset.i18n = key;
+                if (i18nController) {
+                    i18nController.translate(cta);
+                } else {
+                    utils.setText(cta, i18n.t(key));
+                }
+            });
+            
+            if (this.open) this.closeCallbackForm({ restoreFocus: false });
+        }
+        
+        setupCallbackForm() {
+            if (!this.form) return;
+            
+            this.validator = FormValidator.claim(this.form);
+            this.disposables.add(() => this.validator.destroy());
+            this.status = this.form.querySelector('.form-status');
+            this.hoursNote = this.form.querySelector('[data-callback-hours]');
+            
+            const { endpoint, transport, mailto } = this.form.dataset;
+            this.submitter = new LeadSubmitter({
+                endpoint: endpoint || config.leadEndpoint,
+                transports: transport ? transport.split(',').map(name => name.trim()) : config.leadTransports,
+                mailto: mailto || config.leadMailto,
+                timeout: config.submitTimeout,
+                queueKey: 'armanleads:callback-queue',
+                onQueuedDelivery: () => this.announce(i18n.t('form.queueDelivered'))
+            });
+            this.disposables.add(() => this.submitter.stop());
+            
+            // Same endpoint as the audit form, so the same checks - and the same per-browser send budget
+            this.spamGuard = new SpamGuard(this.form);
+            this.disposables.add(() => this.spamGuard.destroy());
+            
+            this.disposables.listen(this.form, 'submit', (e) => {
+                e.preventDefault();
+                this.requestCallback();
+            });
+        }
+        
+        renderCallbackHours() {
+            if (!this.hoursNote || !this.officeHours) return;
+            
+            const opens = this.open ? null : this.officeHours.nextChange(true);
+            if (!opens) {
+                this.hoursNote.textContent = i18n.t('callback.soon');
+                return;
+            }
+            
+            // "today" / "tomorrow" where the visitor is, a weekday name beyond that
+            const startOfDay = date => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+            const days = Math.round((startOfDay(opens) - startOfDay(new Date())) / (24 * 60 * 60 * 1000));
+            const day = days < 2
+                ? new Intl.RelativeTimeFormat(i18n.info.intl, { numeric: 'auto' }).format(days, 'day')
+                : i18n.formatDate(opens, { weekday: 'long' });
+            
+            this.hoursNote.textContent = i18n.t('callback.hours', { day, time: i18n.formatDate(opens, { hour: 'numeric', minute: '2-digit' }) });
+        }
+        
+        openCallbackForm() {
+            this.form.hidden = false;
+            this.ctas.forEach(cta => cta.setAttribute('aria-expanded', 'true'));
+            this.setStatus('', '');
+            // The fill-time clock starts when the form can first be seen
+            this.spamGuard.reset();
+            
+            const firstField = this.form.querySelector('.form-input');
+            if (firstField) firstField.focus();
+            events.emit('callback:open', {});
+        }
+        
+        closeCallbackForm({ restoreFocus = true } = {}) {
+            if (!this.form || this.form.hidden) return;
+            
+            const hadFocus = this.form.contains(document.activeElement);
+            this.form.hidden = true;
+            this.ctas.forEach(cta => {
+                if (cta.hasAttribute('aria-expanded')) cta.setAttribute('aria-expanded', 'false');
+            });
+            
+            if (restoreFocus && hadFocus && this.ctas[0]) this.ctas[0].focus();
+        }
+        
+        async requestCallback() {
+            const submitButton = this.form.querySelector('button[type="submit"]');
+            if (!submitButton || submitButton.disabled) return;
+            
+            if (!(await this.validator.validateAll())) {
+                this.validator.focusFirstInvalid();
+                return;
+            }
+            
+            const retryAfter = this.spamGuard.checkRate();
+            if (retryAfter) {
+                const message = i18n.t('form.rateLimited', { minutes: Math.ceil(retryAfter / 60000) });
+                events.emit('form:spam', { form: this.form.id, verdict: 'rate-limited', signals: [] });
+                this.setStatus(message, 'error');
+                this.announce(message);
+                return;
+            }
+            
+            const fields = {};
+            Object.entries(this.validator.fields).forEach(([fieldName, { input }]) => {
+                fields[fieldName] = input.value.trim();
+            });
+            
+            // Callbacks carry the same attribution/CTA context as audit leads
+            const formController = window.ArmanLeadsApp?.getController('form');
+            const payload = {
+                id: utils.uid(),
+                form: this.form.id,
+                fields,
+                page: window.location.href,
+                submittedAt: new Date().toISOString(),
+                metadata: formController ? formController.collectMetadata() : this.getLeadMetadata()
+            };
+            
+            await this.spamGuard.ready();
+            const assessment = this.spamGuard.assess(fields);
+            if (assessment.verdict !== 'pass') {
+                events.emit('form:spam', { form: this.form.id, verdict: assessment.verdict, signals: assessment.signals });
+            }
+            
+            // Near-certain bots are told it worked, and nothing is sent
+            if (assessment.verdict === 'block') {
+                const message = i18n.t('callback.sent');
+                this.setStatus(message, 'success');
+                this.announce(message);
+                this.form.reset();
+                this.validator.reset();
+                return;
+            }
+            
+            submitButton.disabled = true;
+            submitButton.dataset.originalText = submitButton.textContent;
+            submitButton.textContent = i18n.t(assessment.verdict === 'challenge' ? 'form.verifying' : 'form.sending');
+            this.setStatus('', '');
+            
+            payload.spam = await this.spamGuard.report(assessment);
+            const result = await this.submitter.submit(payload);
+            if (result.state !== 'failed') {
+                this.spamGuard.recordSubmission();
+                this.spamGuard.reset();
+            }
+            
+            submitButton.textContent = submitButton.dataset.originalText;
+            submitButton.disabled = false;
+            
+            events.emit('form:submit', { form: this.form.id, state: result.state, transport: result.transport || null });
+            
+            let message;
+            if (result.state === 'failed') {
+                message = result.error && result.error.status
+                    ? i18n.t('form.failedWithReason', { reason: result.error.message })
+                    : i18n.t('form.failed');
+                this.setStatus(message, 'error', result.mailtoHref);
+            } else {
+                const queued = result.error && result.error.status ? 'form.queuedRetry' : 'form.queued';
+                message = i18n.t(result.state === 'queued' ? queued : 'callback.sent');
+                this.setStatus(message, result.state === 'queued' ? 'pending' : 'success');
+                this.form.reset();
+                this.validator.reset();
+            }
+            this.announce(message);
+        }
+        
+        setStatus(message, state, mailtoHref = '') {
+            if (!this.status) return;
+            
+            this.status.textContent = message;
+            this.status.dataset.state = state;
+            this.status.hidden = !message;
+            
+            if (mailtoHref) {
+                const link = document.createElement('a');
+                link.href = mailtoHref;
+                link.textContent = i18n.t('form.mailtoFallback');
+                this.status.append(' ', link);
+            }
+        }
+        
+        announce(message) {
+            const accessibility = window.ArmanLeadsApp?.getController('accessibility');
+            if (accessibility) {
+                accessibility.announce(message);
+            }
+        }
+        
+        // Public API
+        getNumber() {
+            return this.assignment ? Object.assign({}, this.assignment) : null;
+        }
+        
+        isOpen() {
+            return this.open;
+        }
+        
+        // Leads and callbacks say which number the visitor was shown and whether anyone could pick up
+        getLeadMetadata() {
+            return this.assignment ? { phone: { number: this.assignment.number, channel: this.assignment.channel, officeOpen: this.open } } : {};
+        }
+        
+        // The tracked number stays in place - re-init picks the same one back
+        destroy() {
+            this.disposables.dispose();
+            this.persist = false;
+            
+            this.open = true;
+            if (this.officeHours) this.applyHours();
+            if (this.form) this.form.hidden = true;
+        }
+    }
+    
+    // Locale detection, switching and DOM translation
+    // Markup: data-i18n="key" translates the element's text, data-i18n-attr="aria-label:key; alt:key2"
+    // translates attributes and data-i18n-params='{"fee":797}' feeds formatted placeholders. Copy that
+    // renders its params into the markup keeps the English message beside it: data-i18n-template for the
+    // text, data-i18n-attr-template="alt:Only {count, number} left" for attributes.
+    class I18nController {
+        constructor() {
+            this.storageKey = 'armanleads:locale';
+            this.switcher = document.querySelector('.language-switcher');
+            this.requestId = 0;
+            this.disposables = new Disposables();
+        
+            this.init();
+        }
+        
+        init() {
+            this.captureSource();
+            this.setupSwitcher();
+            this.setLocale(this.detectLocale(), { persist: false });
+        }
+        
+        // The markup is the English catalog - read it before experiments or other locales rewrite it
+        captureSource(root = document) {
+            const catalog = i18n.catalogs.en;
+        
+            utils.queryAll(root, '[data-i18n], [data-i18n-attr]').forEach(element => {
+                const key = element.dataset.i18n;
+                if (key && !(key in catalog)) {
+                    const node = utils.getTextNode(element);
+                    catalog[key] = element.dataset.i18nTemplate || (node ? node.textContent.trim().replace(/\s+/g, ' ') : '');
+                }
+        
+                const templates = this.getAttributeTemplates(element);
+                this.getAttributeKeys(element).forEach(([attribute, attributeKey]) => {
+                    if (!(attributeKey in catalog) && element.hasAttribute(attribute)) {
+                        catalog[attributeKey] = templates[attribute] || element.getAttribute(attribute);
+                    }
+                });
+            });
+        }
+        
+        getAttributeKeys(element) {
+            return (element.dataset.i18nAttr || '').split(';')
+                .map(pair => pair.split(':').map(part => part.trim()))
+                .filter(([attribute, key]) => attribute && key);
+        }
+        
+        // Same "attribute:text" pairs as data-i18n-attr, but the text may contain colons of its own
+        getAttributeTemplates(element) {
+            const templates = {};
+            (element.dataset.i18nAttrTemplate || '').split(';').forEach(pair => {
+                const separator = pair.indexOf(':');
+                if (separator > 0) templates[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+            });
+            return templates;
+        }
+        
+        getParams(element) {
+            if (!element.dataset.i18nParams) return {};
+        
+            try {
+                return JSON.parse(element.dataset.i18nParams);
+            } catch (error) {
+                console.warn('Invalid data-i18n-params:', element.dataset.i18nParams);
+                return {};
+            }
+        }
+        
+        detectLocale() {
+            const requested = new URLSearchParams(window.location.search).get('lang');
+            const candidates = [requested, storage.get(this.storageKey)]
+                .concat(navigator.languages || [navigator.language]);
+            // "ckb" is Central (Sorani) Kurdish, the variant spoken in Sulaymaniyah
+            const aliases = { ckb: 'ku' };
+        
+            for (const candidate of candidates) {
+                if (!candidate) continue;
+        
+                const base = String(candidate).toLowerCase().split('-')[0];
+                const locale = aliases[base] || base;
+                if (locales[locale]) return locale;
+            }
+        
+            return config.defaultLocale;
+        }
+        
+        setupSwitcher() {
+            if (!this.switcher) return;
+        
+            this.disposables.listen(this.switcher, 'click', (e) => {
+                const option = e.target.closest('[data-locale]');
+                if (option) this.setLocale(option.dataset.locale);
+            });
+        }
+        
+        setLocale(locale, { persist = true } = {}) {
+            const target = locales[locale] ? locale : config.defaultLocale;
+            const requestId = ++this.requestId;
+        
+            if (persist) storage.set(this.storageKey, target);
+        
+            return i18n.load(target)
+                .catch(error => {
+                    console.warn(`Could not load the "${target}" catalog:`, error);
+                    return null;
+                })
+                .then(catalog => {
+                    // A later switch won the race - let that one render
+                    if (requestId !== this.requestId) return;
+        
+                    const previous = i18n.locale;
+                    i18n.locale = catalog ? target : config.defaultLocale;
+        
+                    // Same language: the copy is already right and may carry experiment variants
+                    // that a re-translation would reset to the control text
+                    if (i18n.locale === previous) {
+                        this.syncState();
+                        return;
+                    }
+        
+                    this.apply();
+                    events.emit('locale:change', { locale: i18n.locale, previous, dir: i18n.dir });
+                })
+                .finally(() => {
+                    // Release the anti-flicker guard set in <head>
+                    document.documentElement.classList.remove('i18n-pending');
+                });
+        }
+        
+        apply(root = document) {
+            root.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(element => this.translate(element));
+            this.syncState();
+        }
+        
+        syncState() {
+            const { lang, dir } = i18n.info;
+            document.documentElement.lang = lang;
+            document.documentElement.dir = dir;
+        
+            if (this.switcher) {
+                this.switcher.querySelectorAll('[data-locale]').forEach(option => {
+                    option.setAttribute('aria-pressed', String(option.dataset.locale === i18n.locale));
+                });
+            }
+        }
+        
+        translate(element) {
+            const params = this.getParams(element);
+        
+            if (element.dataset.i18n) {
+                utils.setText(element, i18n.t(element.dataset.i18n, params));
+            }
+        
+            this.getAttributeKeys(element).forEach(([attribute, key]) => {
+                if (i18n.has(key)) element.setAttribute(attribute, i18n.t(key, params));
+            });
+        }
+        
+        // Public API: injected markup arrives in English - learn its strings, then show it in the page's language
+        scan(root) {
+            this.captureSource(root);
+            utils.queryAll(root, '[data-i18n], [data-i18n-attr]').forEach(element => this.translate(element));
+        }
+        
+        // Public API
+        getLocale() {
+            return i18n.locale;
+        }
+        
+        destroy() {
+            this.disposables.dispose();
+            // Drop any catalog still loading so it can't repaint a page we no longer own
+            this.requestId++;
+        }
+    }
+    
+    // A/B Experiment Framework
+    // Declare variants in markup (data-experiment="id" + data-variant-<name>="text", the existing
+    // content is "control") or as JSON in #experiment-config / config.experiments, where a variant's
+    // "key" names an i18n message. QA can force variants with ?exp=hero-headline:outcome,sale-cta:control.
+    // Buckets last the visit in sessionStorage; keeping them (and the visitor id) for later visits waits
+    // for "analytics" consent, since they exist to measure the visitor.
+    class ExperimentController {
+        constructor() {
+            this.storageKey = 'armanleads:experiments';
+            this.visitorKey = 'armanleads:visitor-id';
+            this.experiments = [];
+            this.assignments = {};
+            this.sticky = {};
+            this.persist = false;
+            this.overrides = {};
+            this.exposed = new Set();
+            this.exposureObserver = null;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            this.visitorId = this.getVisitorId();
+            this.overrides = this.parseOverrides();
+            this.experiments = this.collectExperiments();
+            
+            const stored = this.load(this.storageKey) || {};
+            this.experiments.forEach(experiment => {
+                const variant = this.assign(experiment, stored[experiment.id]);
+                this.assignments[experiment.id] = variant;
+                this.apply(experiment, variant);
+            });
+            
+            // QA overrides are applied but never become the visitor's sticky bucket
+            this.sticky = Object.assign({}, stored);
+            Object.entries(this.assignments).forEach(([id, variant]) => {
+                if (!this.overrides[id]) this.sticky[id] = variant;
+            });
+            this.save();
+            
+            this.disposables.add(events.on('consent:change', ({ categories }) => {
+                this.persist = Boolean(categories.analytics);
+                if (!this.persist) {
+                    storage.remove(this.storageKey);
+                    storage.remove(this.visitorKey);
+                }
+                this.save();
+            }));
+            
+            // Variants are in place - release the anti-flicker guard from <head>
+            document.documentElement.classList.remove('experiments-pending');
+            
+            this.setupExposureTracking();
+            // The callback form emits form:submit too - only the audit form counts as a conversion
+            this.disposables.add(events.on('form:submit', ({ form, state }) => {
+                if (elements.form && form === elements.form.id && state !== 'failed') this.trackConversion('audit-form');
+            }));
+            
+            // Translation resets copy to the control text (data-variant-* attributes are translated
+            // too), so put the assigned variants back in the new language
+            this.disposables.add(events.on('locale:change', () => this.refresh()));
+        }
+        
+        // Public API: re-apply assigned variants after their elements were translated again
+        refresh() {
+            this.experiments.forEach(experiment => this.apply(experiment, this.assignments[experiment.id]));
+        }
+        
+        getVisitorId() {
+            return this.load(this.visitorKey) || utils.uid();
+        }
+        
+        // An earlier consented visit left them in localStorage, this visit's are in sessionStorage
+        load(key) {
+            return storage.get(key) || sessionStore.get(key);
+        }
+        
+        save() {
+            const target = this.persist ? storage : sessionStore;
+            target.set(this.visitorKey, this.visitorId);
+            target.set(this.storageKey, this.sticky);
+            
+            if (this.persist) {
+                sessionStore.remove(this.visitorKey);
+                sessionStore.remove(this.storageKey);
+            }
+        }
+        
+        parseOverrides() {
+            const overrides = {};
+            const raw = new URLSearchParams(window.location.search).get('exp');
+            
+            (raw || '').split(',').forEach(pair => {
+                const [id, variant] = pair.split(':').map(part => part && part.trim());
+                if (id && variant) overrides[id] = variant;
+            });
+            
+            return overrides;
+        }
+        
+        collectExperiments() {
+            const byId = new Map();
+            const ensure = (id) => {
+                if (!byId.has(id)) {
+                    byId.set(id, { id, targets: [], variants: { control: null }, weights: null });
+                }
+                return byId.get(id);
+            };
+            
+            document.querySelectorAll('[data-experiment]').forEach(element => {
+                const experiment = ensure(element.dataset.experiment);
+                experiment.targets.push(element);
+                
+                Object.keys(element.dataset)
+                    .filter(key => key.startsWith('variant') && key.length > 'variant'.length)
+                    .forEach(key => {
+                        const name = key.slice('variant'.length).replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`).replace(/^-/, '');
+                        if (!(name in experiment.variants)) experiment.variants[name] = null;
+                    });
+                
+                if (element.dataset.experimentWeights) {
+                    experiment.weights = this.parseWeights(element.dataset.experimentWeights);
+                }
+            });
+            
+            this.readJsonConfig().forEach(definition => {
+                if (!definition || !definition.id) return;
+                
+                const experiment = ensure(definition.id);
+                Object.assign(experiment.variants, definition.variants || {});
+                if (definition.weights) experiment.weights = definition.weights;
+                if (definition.selector) {
+                    document.querySelectorAll(definition.selector).forEach(element => {
+                        if (!experiment.targets.includes(element)) experiment.targets.push(element);
+                    });
+                }
+            });
+            
+            return Array.from(byId.values()).filter(experiment => experiment.targets.length);
+        }
+        
+        readJsonConfig() {
+            const definitions = Array.isArray(config.experiments) ? config.experiments.slice() : [];
+            const script = document.getElementById('experiment-config');
+            
+            if (script) {
+                try {
+                    const parsed = JSON.parse(script.textContent);
+                    definitions.push(...(parsed.experiments || []));
+                } catch (error) {
+                    console.warn('Invalid #experiment-config JSON:', error);
+                }
+            }
+            
+            return definitions;
+        }
+        
+        parseWeights(raw) {
+            const weights = {};
+            raw.split(',').forEach(pair => {
+                const [name, weight] = pair.split(':');
+                if (name && !isNaN(Number(weight))) weights[name.trim()] = Number(weight);
+            });
+            return weights;
+        }
+        
+        // FNV-1a: cheap, stable across browsers, and good enough to spread visitors evenly
+        hash(input) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < input.length; i++) {
+                hash ^= input.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return (hash >>> 0) / 0x100000000;
+        }
+        
+        assign(experiment, storedVariant) {
+            const names = Object.keys(experiment.variants);
+            
+            if (this.overrides[experiment.id] && names.includes(this.overrides[experiment.id])) {
+                return this.overrides[experiment.id];
+            }
+            if (storedVariant && names.includes(storedVariant)) {
+                return storedVariant;
+            }
+            
+            const weights = names.map(name => {
+                const weight = experiment.weights ? Number(experiment.weights[name]) : 1;
+                return weight > 0 ? weight : 0;
+            });
+            const total = weights.reduce((sum, weight) => sum + weight, 0);
+            if (!total) return 'control';
+            
+            let bucket = this.hash(`${this.visitorId}:${experiment.id}`) * total;
+            for (let i = 0; i < names.length; i++) {
+                bucket -= weights[i];
+                if (bucket < 0) return names[i];
+            }
+            return names[names.length - 1];
+        }
+        
+        apply(experiment, variant) {
+            if (variant === 'control') return;
+            
+            experiment.targets.forEach(element => {
+                const attribute = `data-variant-${variant}`;
+                const spec = element.hasAttribute(attribute)
+                    ? { text: element.getAttribute(attribute) }
+                    : experiment.variants[variant];
+                
+                if (!spec) return;
+                
+                if (spec.html !== undefined) {
+                    element.innerHTML = spec.html;
+                } else if (spec.key) {
+                    utils.setText(element, i18n.t(spec.key, {}, spec.text));
+                } else if (spec.text !== undefined) {
+                    utils.setText(element, spec.text);
+                }
+                
+                Object.entries(spec.attrs || {}).forEach(([name, value]) => element.setAttribute(name, value));
+            });
+            
+            experiment.targets.forEach(element => element.setAttribute('data-experiment-variant', variant));
+        }
+        
+        setupExposureTracking() {
+            const expose = (element) => {
+                const experiment = this.experiments.find(({ targets }) => targets.includes(element));
+                if (!experiment || this.exposed.has(experiment.id)) return;
+                
+                this.exposed.add(experiment.id);
+                events.emit('experiment:exposure', {
+                    experiment: experiment.id,
+                    variant: this.assignments[experiment.id],
+                    forced: Boolean(this.overrides[experiment.id])
+                });
+            };
+            
+            const targets = this.experiments.reduce((all, { targets }) => all.concat(targets), []);
+            
+            // An exposure only counts once the visitor could actually have seen the variant
+            if (!('IntersectionObserver' in window)) {
+                targets.forEach(expose);
+                return;
+            }
+            
+            this.exposureObserver = this.disposables.observe(new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        expose(entry.target);
+                        this.exposureObserver.unobserve(entry.target);
+                    }
+                });
+            }, { threshold: 0.5 }));
+            
+            targets.forEach(element => this.exposureObserver.observe(element));
+        }
+        
+        trackConversion(goal) {
+            this.exposed.forEach(id => {
+                events.emit('experiment:conversion', {
+                    experiment: id,
+                    variant: this.assignments[id],
+                    goal,
+                    forced: Boolean(this.overrides[id])
+                });
+            });
+        }
+        
+        // Public API
+        getVariant(id) {
+            return this.assignments[id] || null;
+        }
+        
+        getLeadMetadata() {
+            return Object.keys(this.assignments).length ? { experiments: Object.assign({}, this.assignments) } : {};
+        }
+        
+        // Assigned variants stay on the page - re-init reads the same sticky buckets back
+        destroy() {
+            this.disposables.dispose();
+            this.exposureObserver = null;
+        }
+    }
+    
+    // Live Offer Availability
+    // Slots and the offer deadline come from #offer-config JSON / config.offer, then GET offerEndpoint,
+    // all shaped like { capacity, slotsRemaining, deadline, timezone }. A deadline without an offset is
+    // wall-clock time in `timezone` (e.g. "2026-11-30T23:59" in "America/Chicago"). Markup hooks:
+    // data-offer-mention re-renders copy with { count: capacity }, data-offer-status shows the slots
+    // left, data-offer-countdown wraps a data-offer-timer, and once slots run out or the deadline
+    // passes, data-offer-only hides, data-waitlist-i18n swaps in waitlist copy and forms with
+    // data-waitlist-endpoint submit there instead.
+    class OfferController {
+        constructor() {
+            this.settings = {};
+            this.deadline = null;
+            this.state = null;
+            this.formatters = new Map();
+            this.stopTimer = null;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            this.mentions = document.querySelectorAll('[data-offer-mention]');
+            this.statuses = document.querySelectorAll('[data-offer-status]');
+            this.countdowns = document.querySelectorAll('[data-offer-countdown]');
+            
+            this.update(this.readInlineConfig());
+            if (config.offerEndpoint) this.load();
+            
+            this.disposables.add(events.on('locale:change', () => this.render()));
+        }
+        
+        readInlineConfig() {
+            const settings = Object.assign({}, config.offer);
+            const script = document.getElementById('offer-config');
+            
+            if (script) {
+                try {
+                    Object.assign(settings, JSON.parse(script.textContent));
+                } catch (error) {
+                    console.warn('Invalid #offer-config JSON:', error);
+                }
+            }
+            
+            return settings;
+        }
+        
+        load() {
+            return fetch(config.offerEndpoint, {
+                headers: { 'Accept': 'application/json' },
+                credentials: 'same-origin'
+            })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Offer request failed with ${response.status}`);
+                    return response.json();
+                })
+                .then(data => this.update(data))
+                // Stale numbers beat none - keep what the page already shows
+                .catch(error => console.warn('Could not refresh the offer:', error))
+                .finally(() => {
+                    this.disposables.timeout(() => this.load(), config.offerRefreshMinutes * 60 * 1000);
+                });
+        }
+        
+        update(data) {
+            ['capacity', 'slotsRemaining', 'deadline', 'timezone'].forEach(key => {
+                if (data && data[key] !== undefined) this.settings[key] = data[key];
+            });
+            
+            this.deadline = this.parseDeadline(this.settings.deadline, this.settings.timezone);
+            this.render();
+        }
+        
+        // Wall-clock deadlines are resolved through Intl, so the zone's own DST rules decide the offset
+        parseDeadline(value, timeZone) {
+            if (!value) return null;
+            
+            const explicit = /(?:Z|[+-]\d{2}:?\d{2})$/i.test(value);
+            const [datePart, timePart = '23:59:59'] = String(value).split('T');
+            const [year, month, day] = datePart.split('-').map(Number);
+            const [hour = 0, minute = 0, second = 0] = timePart.split(':').map(Number);
+            const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+            
+            if (explicit || !timeZone || isNaN(wallClock)) {
+                const date = new Date(explicit || isNaN(wallClock) ? value : `${datePart}T${timePart}`);
+                return isNaN(date) ? null : date;
+            }
+            
+            try {
+                // Guess with the offset at the wall-clock time, then correct once in case a DST switch lies between
+                const guess = wallClock - this.getZoneOffset(wallClock, timeZone);
+                return new Date(wallClock - this.getZoneOffset(guess, timeZone));
+            } catch (error) {
+                console.warn(`Unknown offer timezone "${timeZone}", using the visitor's clock`);
+                return new Date(`${datePart}T${timePart}`);
+            }
+        }
+        
+        getZoneOffset(time, timeZone) {
+            if (!this.formatters.has(timeZone)) {
+                this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+                    hour: '2-digit', minute: '2-digit', second: '2-digit'
+                }));
+            }
+            
+            const parts = {};
+            this.formatters.get(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+                parts[type] = Number(value);
+            });
+            
+            const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+            return asUtc - Math.floor(time / 1000) * 1000;
+        }
+        
+        readState() {
+            const capacity = Number(this.settings.capacity);
+            const slots = this.settings.slotsRemaining === undefined ? null : Math.max(0, Number(this.settings.slotsRemaining));
+            const ended = Boolean(this.deadline && this.deadline.getTime() <= Date.now());
+            
+            let reason = null;
+            if (slots === 0) reason = 'full';
+            else if (ended) reason = 'ended';
+            
+            return {
+                mode: reason ? 'waitlist' : 'open',
+                reason,
+                capacity: capacity > 0 ? capacity : null,
+                slotsRemaining: slots,
+                deadline: this.deadline ? this.deadline.toISOString() : null
+            };
+        }
+        
+        render() {
+            const previous = this.state;
+            this.state = this.readState();
+            
+            if (this.state.capacity) this.renderMentions(this.state.capacity);
+            this.renderStatus();
+            this.applyMode(this.state.mode);
+            this.tick();
+            
+            if (!previous || ['mode', 'capacity', 'slotsRemaining', 'deadline'].some(key => previous[key] !== this.state[key])) {
+                events.emit('offer:change', Object.assign({}, this.state));
+            }
+        }
+        
+        renderMentions(capacity) {
+            const i18nController = window.ArmanLeadsApp?.getController('i18n');
+            if (!i18nController) return;
+            
+            const changed = Array.from(this.mentions).filter(element => {
+                const params = i18nController.getParams(element);
+                if (params.count === capacity) return false;
+                
+                element.dataset.i18nParams = JSON.stringify(Object.assign(params, { count: capacity }));
+                i18nController.translate(element);
+                return true;
+            });
+            if (!changed.length) return;
+            
+            // Translation put the control copy back and split any FAQ search highlight - let their owners redo both
+            const experiments = window.ArmanLeadsApp?.getController('experiments');
+            if (experiments) experiments.refresh();
+            
+            const faq = window.ArmanLeadsApp?.getController('faq');
+            if (faq) faq.refreshLanguage();
+        }
+        
+        renderStatus() {
+            const { reason, capacity, slotsRemaining } = this.state;
+            let message = '';
+            
+            if (reason) {
+                message = i18n.t(`offer.${reason}`, { capacity: capacity || '' });
+            } else if (slotsRemaining !== null && capacity) {
+                message = i18n.t('offer.remaining', { count: slotsRemaining, capacity });
+            }
+            
+            this.statuses.forEach(status => {
+                status.textContent = message;
+                status.hidden = !message;
+            });
+        }
+        
+        applyMode(mode) {
+            const waitlist = mode === 'waitlist';
+            const i18nController = window.ArmanLeadsApp?.getController('i18n');
+            
+            document.querySelectorAll('[data-offer-only]').forEach(element => {
+                element.hidden = waitlist;
+            });
+            
+            // The offer copy's key is parked in data-offer-i18n, so locale switches keep the current mode
+            document.querySelectorAll('[data-waitlist-i18n]').forEach(element => {
+                if (!element.dataset.offerI18n) element.dataset.offerI18n = element.dataset.i18n;
+                
+                const key = waitlist ? element.dataset.waitlistI18n : element.dataset.offerI18n;
+                if (element.dataset.i18n === key) return;
+                
+                element.dataset.i18n = key;
+                if (i18nController) {
+                    i18nController.translate(element);
+                } else {
+                    utils.setText(element, i18n.t(key));
+                }
+            });
+            
+            document.querySelectorAll('form[data-waitlist-endpoint]').forEach(form => {
+                if (!form.dataset.offerEndpoint) form.dataset.offerEndpoint = form.dataset.endpoint || form.getAttribute('action') || '';
+                
+                const endpoint = waitlist ? form.dataset.waitlistEndpoint : form.dataset.offerEndpoint;
+                const formController = window.ArmanLeadsApp?.getController('form');
+                
+                if (formController && formController.form === form) {
+                    formController.setEndpoint(endpoint);
+                } else {
+                    form.dataset.endpoint = endpoint;
+                    form.setAttribute('action', endpoint);
+                }
+            });
+        }
+        
+        tick() {
+            if (this.stopTimer) this.stopTimer();
+            this.stopTimer = null;
+            
+            const remaining = this.deadline ? this.deadline.getTime() - Date.now() : 0;
+            const counting = this.state.mode === 'open' && remaining > 0;
+            
+            this.countdowns.forEach(countdown => {
+                countdown.hidden = !counting;
+                
+                const timer = countdown.querySelector('[data-offer-timer]');
+                if (!timer || !counting) return;
+                
+                timer.setAttribute('datetime', this.state.deadline);
+                timer.setAttribute('title', i18n.t('offer.deadline', {
+                    date: i18n.formatDate(this.deadline, {
+                        month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+                    })
+                }));
+                timer.textContent = this.formatRemaining(remaining);
+            });
+            
+            if (!counting) {
+                // The deadline just passed - switch to the waitlist
+                if (this.state.mode === 'open' && this.deadline) this.render();
+                return;
+            }
+            
+            // Land just after the next whole second so the display never skips one
+            this.stopTimer = this.disposables.timeout(() => this.tick(), (remaining % 1000) + 20);
+        }
+        
+        formatRemaining(remaining) {
+            const totalSeconds = Math.ceil(remaining / 1000);
+            const days = Math.floor(totalSeconds / 86400);
+            const pad = value => i18n.formatNumber(value, { minimumIntegerDigits: 2 });
+            const clock = [
+                Math.floor(totalSeconds % 86400 / 3600),
+                Math.floor(totalSeconds % 3600 / 60),
+                totalSeconds % 60
+            ].map(pad).join(':');
+            
+            return days ? i18n.t('offer.timer', { days: i18n.t('offer.days', { count: days }), clock }) : clock;
+        }
+        
+        // Public API
+        getState() {
+            return this.state ? Object.assign({}, this.state) : null;
+        }
+        
+        getLeadMetadata() {
+            return this.state ? { offer: { mode: this.state.mode, reason: this.state.reason, slotsRemaining: this.state.slotsRemaining } } : {};
+        }
+        
+        // Rendered copy and the form's target stay as they are - re-init reads the same settings back
+        destroy() {
+            this.disposables.dispose();
+            this.stopTimer = null;
+        }
+    }
+    
+    // Structured Data
+    // The hand-written business in #structured-data is joined by nodes built from the rendered copy:
+    // Service with its Offers (fees from .pricing-list [data-price-component], plus the .sale offer while it
+    // shows), FAQPage, HowTo from the .system-steps cards and a BreadcrumbList. Everything is written back as
+    // one @graph and rebuilt whenever that copy changes, so search engines read what the visitor reads.
+    // Nodes missing a property their type requires are logged, once per gap.
+    class StructuredDataController {
+        constructor() {
+            this.script = document.getElementById('structured-data');
+            this.source = null;
+            this.base = [];
+            this.sources = ['h1', '.pricing', '.sale', '.faq', '.system'];
+            // "a|b" when either property will do
+            this.requirements = {
+                LocalBusiness: ['name', 'address'],
+                ContactPoint: ['telephone', 'contactType'],
+                Service: ['name', 'provider'],
+                Offer: ['price|priceSpecification', 'availability'],
+                CompoundPriceSpecification: ['priceComponent'],
+                UnitPriceSpecification: ['price', 'priceCurrency'],
+                FAQPage: ['mainEntity'],
+                Question: ['name', 'acceptedAnswer'],
+                Answer: ['text'],
+                HowTo: ['name', 'step'],
+                HowToStep: ['text'],
+                BreadcrumbList: ['itemListElement'],
+                ListItem: ['position', 'name']
+            };
+            this.warned = new Set();
+            this.renderTimer = null;
+            this.disposables = new Disposables();
+            
+            this.init();
+        }
+        
+        init() {
+            if (!this.script) return;
+            
+            this.source = this.script.textContent;
+            this.base = this.parseSource();
+            this.render();
+            this.watch();
+        }
+        
+        parseSource() {
+            try {
+                const data = JSON.parse(this.source);
+                return [].concat(data['@graph'] || data).map(node => {
+                    const copy = Object.assign({}, node);
+                    delete copy['@context'];
+                    return copy;
+                });
+            } catch (error) {
+                console.warn('Could not read the static structured data:', error);
+                return [];
+            }
+        }
+        
+        // Translations, experiment variants and the offer all rewrite the copy these nodes are read from
+        watch() {
+            const schedule = () => {
+                clearTimeout(this.renderTimer);
+                this.renderTimer = setTimeout(() => this.render(), 250);
+            };
+            this.disposables.add(() => clearTimeout(this.renderTimer));
+            
+            // The countdown ticks every second without changing anything worth describing
+            const observer = this.disposables.observe(new MutationObserver((records) => {
+                const relevant = records.some(({ target }) => {
+                    const element = target.nodeType === Node.ELEMENT_NODE ? target : target.parentElement;
+                    return element && !element.closest('[role="timer"]');
+                });
+                if (relevant) schedule();
+            }));
+            
+            this.sources.forEach(selector => {
+                document.querySelectorAll(selector).forEach(root => observer.observe(root, {
+                    subtree: true,
+                    childList: true,
+                    characterData: true,
+                    attributes: true,
+                    attributeFilter: ['hidden', 'data-i18n-params']
+                }));
+            });
+            
+            this.disposables.add(events.on('offer:change', schedule));
+            this.disposables.add(events.on('locale:change', schedule));
+        }
+        
+        // Public API: rebuild now instead of on the next change
+        render() {
+            const page = this.getPageUrl();
+            const nodes = JSON.parse(JSON.stringify(this.base));
+            const business = nodes.find(node => node['@type'] === 'LocalBusiness') || nodes[0] || null;
+            
+            if (business) {
+                business['@id'] = business['@id'] || `${page}#business`;
+                
+                // Visitors see the tracked number, so the listing shows the same one
+                const callTracking = window.ArmanLeadsApp?.getController('callTracking');
+                const phone = callTracking ? callTracking.getNumber() : null;
+                if (phone && business.contactPoint) business.contactPoint.telephone = phone.number;
+            }
+            
+            nodes.push(...[
+                this.buildService(page, business),
+                this.buildFAQPage(page),
+                this.buildHowTo(page),
+                this.buildBreadcrumbs(page, business)
+            ].filter(Boolean));
+            
+            nodes.forEach(node => this.validate(node, node['@type'] || 'node'));
+            
+            const text = JSON.stringify({ '@context': 'https://schema.org', '@graph': nodes }, null, 4);
+            if (this.script.textContent !== text) this.script.textContent = text;
+        }
+        
+        getPageUrl() {
+            const canonical = document.querySelector('link[rel="canonical"]');
+            const url = new URL(canonical ? canonical.href : window.location.href);
+            url.hash = '';
+            url.search = '';
+            return url.href;
+        }
+        
+        readText(element) {
+            return element ? element.textContent.trim().replace(/\s+/g, ' ') : '';
+        }
+        
+        // Fees are formatted into the copy from data-i18n-params, so the number itself is read from there
+        readAmount(element) {
+            try {
+                const params = JSON.parse(element.dataset.i18nParams || '{}');
+                return Object.values(params).find(value => Number.isFinite(value));
+            } catch (error) {
+                return undefined;
+            }
+        }
+        
+        buildPriceSpecification() {
+            const components = Array.from(document.querySelectorAll('.pricing-list [data-price-component]')).map(value => {
+                const item = value.closest('.pricing-item');
+                const component = {
+                    '@type': 'UnitPriceSpecification',
+                    name: this.readText(item && item.querySelector('.pricing-label')),
+                    priceComponentType: `https://schema.org/${value.dataset.priceComponent}`,
+                    price: this.readAmount(value),
+                    priceCurrency: config.currency
+                };
+                if (value.dataset.priceUnit) component.unitCode = value.dataset.priceUnit;
+                return component;
+            });
+            
+            return components.length ? { '@type': 'CompoundPriceSpecification', priceCurrency: config.currency, priceComponent: components } : null;
+        }
+        
+        buildService(page, business) {
+            const priceSpecification = this.buildPriceSpecification();
+            const offerState = window.ArmanLeadsApp?.getController('offer')?.getState() || null;
+            const availability = offerState && offerState.mode === 'waitlist' ? 'SoldOut' : 'InStock';
+            const description = document.querySelector('meta[name="description"]');
+            
+            const offers = [];
+            if (priceSpecification) {
+                offers.push({
+                    '@type': 'Offer',
+                    url: `${page}#pricing`,
+                    priceSpecification,
+                    availability: `https://schema.org/${availability}`
+                });
+            }
+            
+            // The founding offer only while it is on screen - OfferController hides it once it closes
+            const sale = document.querySelector('.sale');
+            if (sale && !sale.hidden && priceSpecification) {
+                const offer = {
+                    '@type': 'Offer',
+                    name: this.readText(sale.querySelector('.sale-title')),
+                    description: this.readText(sale.querySelector('.sale-subtitle')),
+                    url: `${page}#audit`,
+                    priceSpecification,
+                    availability: 'https://schema.org/LimitedAvailability'
+                };
+                if (offerState && offerState.deadline) offer.priceValidUntil = offerState.deadline.slice(0, 10);
+                if (offerState && Number.isFinite(offerState.slotsRemaining)) {
+                    offer.inventoryLevel = { '@type': 'QuantitativeValue', value: offerState.slotsRemaining };
+                }
+                offers.push(offer);
+            }
+            
+            return {
+                '@type': 'Service',
+                '@id': `${page}#service`,
+                name: this.readText(document.querySelector('h1')),
+                description: description ? description.content : undefined,
+                url: page,
+                provider: business ? { '@id': business['@id'] } : undefined,
+                areaServed: business && business.address ? business.address.addressCountry : undefined,
+                inLanguage: i18n.info.lang,
+                offers: offers.length ? offers : undefined
+            };
+        }
+        
+        buildFAQPage(page) {
+            const questions = Array.from(document.querySelectorAll('.faq-item')).map(item => ({
+                '@type': 'Question',
+                name: this.readText(item.querySelector('.faq-question')),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: this.readText(item.querySelector('.faq-answer'))
+                }
+            }));
+            
+            return questions.length ? {
+                '@type': 'FAQPage',
+                '@id': `${page}#faq`,
+                inLanguage: i18n.info.lang,
+                mainEntity: questions
+            } : null;
+        }
+        
+        buildHowTo(page) {
+            const section = document.querySelector('.system');
+            const cards = section ? Array.from(section.querySelectorAll('.step-card')) : [];
+            if (!cards.length) return null;
+            
+            return {
+                '@type': 'HowTo',
+                '@id': `${page}#system`,
+                name: this.readText(section.querySelector('.section-title')),
+                description: this.readText(section.querySelector('.section-subtitle')) || undefined,
+                inLanguage: i18n.info.lang,
+                step: cards.map((card, index) => ({
+                    '@type': 'HowToStep',
+                    position: index + 1,
+                    name: this.readText(card.querySelector('.step-title')),
+                    text: this.readText(card.querySelector('.step-description'))
+                }))
+            };
+        }
+        
+        // One crumb per path segment under the site root, which is named after the business
+        buildBreadcrumbs(page, business) {
+            const url = new URL(page);
+            const segments = url.pathname.split('/').filter(Boolean);
+            const crumbs = [{ name: (business && business.name) || document.title, item: `${url.origin}/` }];
+            
+            segments.forEach((segment, index) => {
+                const last = index === segments.length - 1;
+                crumbs.push({
+                    name: last ? this.readText(document.querySelector('h1')) || segment : decodeURIComponent(segment).replace(/[-_]+/g, ' '),
+                    item: `${url.origin}/${segments.slice(0, index + 1).join('/')}${last && !page.endsWith('/') ? '' : '/'}`
+                });
+            });
+            
+            return {
+                '@type': 'BreadcrumbList',
+                '@id': `${page}#breadcrumbs`,
+                itemListElement: crumbs.map((crumb, index) => Object.assign({ '@type': 'ListItem', position: index + 1 }, crumb))
+            };
         }
         
-        animateCounters(container) {
-            const numbers = container.querySelectorAll('.urgency-number');
+        validate(value, path) {
+            if (Array.isArray(value)) {
+                value.forEach((item, index) => this.validate(item, `${path}[${index}]`));
+                return;
+            }
+            if (!value || typeof value !== 'object') return;
             
-            numbers.forEach((number, index) => {
-                setTimeout(() => {
-                    const text = number.textContent;
-                    const matches = text.match(/(\d+)/);
-                    
-                    if (matches) {
-                        const finalValue = parseInt(matches[1]);
-                        this.animateNumber(number, 0, finalValue, 1500, text);
-                    }
-                }, index * 200);
+            const missing = property => property.split('|').every(name => {
+                const found = value[name];
+                return found === undefined || found === null || found === '' || (Array.isArray(found) && !found.length);
             });
-        }
-        
-        animateNumber(element, start, end, duration, originalText) {
-            const startTime = performance.now();
             
-            const update = (currentTime) => {
-                const elapsed = currentTime - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-                
-                // Eased progress
-                const easedProgress = 1 - Math.pow(1 - progress, 3);
-                const currentValue = Math.floor(start + (end - start) * easedProgress);
+            (this.requirements[value['@type']] || []).filter(missing).forEach(property => {
+                const message = `Structured data: ${path} is missing "${property.replace('|', '" or "')}"`;
+                if (this.warned.has(message)) return;
                 
-                element.textContent = originalText.replace(/\d+/, currentValue);
-                
-                if (progress < 1) {
-                    requestAnimationFrame(update);
-                }
-            };
+                this.warned.add(message);
+                console.warn(message);
+            });
             
-            requestAnimationFrame(update);
+            Object.entries(value).forEach(([key, child]) => {
+                if (key !== '@type' && typeof child === 'object') this.validate(child, `${path}.${key}`);
+            });
+        }
+        
+        // Back to the block as served - re-init merges into it again
+        destroy() {
+            this.disposables.dispose();
+            if (this.script && this.source !== null) this.script.textContent = this.source;
         }
     }
     
-    // Touch Support (Non-invasive)
-    class TouchController {
-        constructor() {
-            this.touchStartX = 0;
-            this.touchStartY = 0;
-            
-            this.init();
-        }
-        
-        init() {
-            // Only add touch support if touch is available
-            if ('ontouchstart' in window) {
-                this.setupTouchHandlers();
-            }
+    // Analytics Sinks
+    class ConsoleSink {
+        send(event) {
+            console.info('[analytics]', event.event, event.properties);
         }
-        
-        setupTouchHandlers() {
-            document.addEventListener('touchstart', (e) => {
-                this.touchStartX = e.touches[0].clientX;
-                this.touchStartY = e.touches[0].clientY;
-            }, { passive: true });
-            
-            document.addEventListener('touchmove', (e) => {
-                if (!this.touchStartX || !this.touchStartY) return;
-                
-                const touchEndX = e.touches[0].clientX;
-                const touchEndY = e.touches[0].clientY;
-                
-                const deltaX = this.touchStartX - touchEndX;
-                const deltaY = this.touchStartY - touchEndY;
-                
-                // Only detect horizontal swipe if significant and not vertical
-                if (Math.abs(deltaX) > 50 && Math.abs(deltaY) < 50) {
-                    // Potential swipe detected - could be used for UI interactions
-                    // Not blocking vertical scroll
-                }
-            }, { passive: true });
+    }
+    
+    class DataLayerSink {
+        send(event) {
+            window.dataLayer = window.dataLayer || [];
+            window.dataLayer.push(Object.assign({ event: event.event }, event.properties));
         }
     }
     
-    // Live Region for Accessibility
-    class AccessibilityController {
-        constructor() {
-            this.liveRegion = null;
-            this.init();
+    class BeaconSink {
+        constructor(endpoint, batchSize, flushInterval) {
+            this.endpoint = endpoint;
+            this.batchSize = batchSize;
+            this.batch = [];
+            this.timer = setInterval(() => this.flush(), flushInterval);
+            this.handleHidden = () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            };
+            this.handlePageHide = () => this.flush();
+            
+            // Last chance to send before the tab is frozen or closed
+            document.addEventListener('visibilitychange', this.handleHidden);
+            window.addEventListener('pagehide', this.handlePageHide);
         }
         
-        init() {
-            this.setupLiveRegion();
-            this.setupKeyboardSupport();
+        send(event) {
+            this.batch.push(event);
+            if (this.batch.length >= this.batchSize) this.flush();
         }
         
-        setupLiveRegion() {
-            let liveRegion = document.getElementById('live-region');
-            if (!liveRegion) {
-                liveRegion = document.createElement('div');
-                liveRegion.id = 'live-region';
-                liveRegion.setAttribute('aria-live', 'polite');
-                liveRegion.setAttribute('aria-atomic', 'true');
-                liveRegion.className = 'sr-only';
-                document.body.appendChild(liveRegion);
+        flush() {
+            if (!this.batch.length) return;
+            
+            const body = JSON.stringify({ events: this.batch.splice(0) });
+            
+            if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+                return;
             }
-            this.liveRegion = liveRegion;
-        }
-        
-        announce(message) {
-            if (this.liveRegion) {
-                this.liveRegion.textContent = message;
-                setTimeout(() => {
-                    this.liveRegion.textContent = '';
-                }, 3000);
+            
+            if (typeof window.fetch === 'function') {
+                fetch(this.endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true
+                }).catch(() => {
+                    // Analytics is best-effort - never retry or surface errors to the visitor
+                });
             }
         }
         
-        setupKeyboardSupport() {
-            // Escape key to close open FAQ
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape') {
-                    const openFAQ = document.querySelector('.faq-item .faq-answer.open');
-                    if (openFAQ) {
-                        const question = openFAQ.previousElementSibling;
-                        if (question && question.classList.contains('faq-question')) {
-                            question.click();
-                        }
-                    }
-                }
-            });
+        // Sinks may implement close() - called when analytics is torn down
+        close() {
+            this.flush();
+            clearInterval(this.timer);
+            document.removeEventListener('visibilitychange', this.handleHidden);
+            window.removeEventListener('pagehide', this.handlePageHide);
         }
     }
     
-    // Form Enhancement System
-    class FormController {
+    // Privacy-respecting Analytics and Conversion Events
+    // Only the bus events in config.analyticsEvents are recorded - the rest (consent, locale, motion, offer...)
+    // is the page talking to itself and tells nobody anything about the visit.
+    class AnalyticsController {
         constructor() {
-            this.form = elements.form;
-            this.fields = {};
-            this.validationRules = {
-                name: { required: true, minLength: 2 },
-                practice: { required: true, minLength: 2 },
-                email: { required: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
-                website: { required: false, pattern: /^https?:\/\/.+/ }
-            };
+            this.sinks = [];
+            this.consent = Boolean(config.analyticsConsent);
+            this.doNotTrack = this.detectDoNotTrack();
+            this.sessionId = utils.uid();
+            this.lastCta = null;
+            this.scrollMilestones = [25, 50, 75, 100];
+            this.reachedMilestones = new Set();
+            this.disposables = new Disposables();
             
             this.init();
         }
         
         init() {
-            if (!this.form) return;
+            // Do Not Track wins over everything, including consent
+            if (this.doNotTrack) return;
             
-            this.cacheFormElements();
-            this.setupRealTimeValidation();
-            this.setupSubmission();
-        }
-        
-        cacheFormElements() {
-            Object.keys(this.validationRules).forEach(fieldName => {
-                const field = this.form.querySelector(`[name="${fieldName}"]`);
-                if (field) {
-                    this.fields[fieldName] = {
-                        input: field,
-                        error: document.getElementById(`${fieldName}-error`) || this.createErrorElement(field),
-                        valid: false
-                    };
-                }
+            const sinkFactories = {
+                console: () => new ConsoleSink(),
+                dataLayer: () => new DataLayerSink(),
+                beacon: () => new BeaconSink(config.analyticsEndpoint, config.analyticsBatchSize, config.analyticsFlushInterval)
+            };
+            
+            config.analyticsSinks.forEach(name => {
+                if (sinkFactories[name]) this.addSink(sinkFactories[name]());
+            });
+            
+            config.analyticsEvents.forEach(type => {
+                this.disposables.add(events.on(type, detail => this.track(type, detail)));
             });
+            
+            // ConsentController broadcasts stored and new decisions
+            this.disposables.add(events.on('consent:change', ({ categories }) => {
+                if (categories.analytics) {
+                    this.grantConsent();
+                } else {
+                    this.revokeConsent();
+                }
+            }));
+            
+            this.setupCtaTracking();
+            this.setupScrollDepth();
         }
         
-        createErrorElement(input) {
-            const errorEl = document.createElement('span');
-            errorEl.className = 'error-message';
-            errorEl.setAttribute('role', 'alert');
-            errorEl.id = `${input.name}-error`;
-            input.parentNode.appendChild(errorEl);
-            return errorEl;
+        detectDoNotTrack() {
+            const signals = [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack];
+            return signals.some(value => value === '1' || value === 'yes') || navigator.globalPrivacyControl === true;
         }
         
-        setupRealTimeValidation() {
-            Object.entries(this.fields).forEach(([fieldName, field]) => {
-                const { input } = field;
-                
-                input.addEventListener('blur', () => {
-                    this.validateField(fieldName);
-                });
-                
-                input.addEventListener('input', utils.debounce(() => {
-                    this.validateField(fieldName);
-                }, 300));
-            });
+        isEnabled() {
+            return this.consent && !this.doNotTrack;
         }
         
-        validateField(fieldName) {
-            const field = this.fields[fieldName];
-            const { input, error } = field;
-            const value = input.value.trim();
-            const rules = this.validationRules[fieldName];
-            
-            let isValid = true;
-            let errorMessage = '';
-            
-            if (rules.required && !value) {
-                isValid = false;
-                errorMessage = 'This field is required';
-            } else if (value && rules.minLength && value.length < rules.minLength) {
-                isValid = false;
-                errorMessage = `Minimum ${rules.minLength} characters required`;
-            } else if (value && rules.pattern && !rules.pattern.test(value)) {
-                isValid = false;
-                if (fieldName === 'email') {
-                    errorMessage = 'Please enter a valid email address';
-                } else if (fieldName === 'website') {
-                    errorMessage = 'Please enter a valid URL (https://...)';
-                }
+        // Public API: a sink is any object with send(event)
+        addSink(sink) {
+            if (sink && typeof sink.send === 'function') {
+                this.sinks.push(sink);
             }
-            
-            field.valid = isValid;
-            this.updateFieldState(input, error, isValid, errorMessage);
-            
-            return isValid;
         }
         
-        updateFieldState(input, error, isValid, errorMessage) {
-            if (isValid) {
-                input.style.borderColor = 'var(--accent-emerald)';
-                error.textContent = '';
-                error.style.opacity = '0';
-            } else {
-                input.style.borderColor = 'var(--accent-crimson)';
-                error.textContent = errorMessage;
-                error.style.opacity = '1';
-            }
+        grantConsent() {
+            this.consent = true;
         }
         
-        setupSubmission() {
-            this.form.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleSubmit();
+        revokeConsent() {
+            this.consent = false;
+            // Drop anything still batched - it was collected under consent that no longer stands
+            this.sinks.forEach(sink => {
+                if (Array.isArray(sink.batch)) sink.batch.length = 0;
             });
         }
         
-        handleSubmit() {
-            const submitButton = this.form.querySelector('button[type="submit"]');
-            if (!submitButton || submitButton.disabled) return;
-            
-            // Validate all fields
-            const isFormValid = Object.keys(this.fields).every(fieldName => 
-                this.validateField(fieldName)
-            );
-            
-            if (!isFormValid) {
-                console.warn('Form validation failed');
-                return;
-            }
+        track(type, properties = {}) {
+            // Without consent events are dropped, not queued for later
+            if (!this.isEnabled()) return;
             
-            this.showLoadingState(submitButton);
+            const event = {
+                event: type,
+                properties: type === 'form:submit' ? Object.assign({ cta: this.lastCta }, properties) : properties,
+                page: window.location.pathname,
+                sessionId: this.sessionId,
+                timestamp: new Date().toISOString()
+            };
             
-            // Simulate submission
-            setTimeout(() => {
-                this.showSuccessState(submitButton);
-                this.form.reset();
+            this.sinks.forEach(sink => {
+                try {
+                    sink.send(event);
+                } catch (error) {
+                    console.warn('Analytics sink failed:', error);
+                }
+            });
+        }
+        
+        setupCtaTracking() {
+            this.disposables.listen(document, 'click', (e) => {
+                const cta = e.target.closest('[data-cta]');
+                if (!cta) return;
                 
-                // Announce success to screen readers
-                const accessibility = window.ArmanLeadsApp?.getController('accessibility');
-                if (accessibility) {
-                    accessibility.announce('Form submitted successfully. Check your email for the audit.');
+                this.lastCta = cta.dataset.cta;
+                events.emit('cta:click', { cta: cta.dataset.cta, href: cta.getAttribute('href') });
+            });
+        }
+        
+        setupScrollDepth() {
+            const task = {
+                read: () => {
+                    const percent = Math.round(utils.getScrollProgress() * 100);
+                    
+                    this.scrollMilestones.forEach(milestone => {
+                        if (percent >= milestone && !this.reachedMilestones.has(milestone)) {
+                            this.reachedMilestones.add(milestone);
+                            events.emit('scroll:depth', { percent: milestone });
+                        }
+                    });
+                    
+                    // Every milestone reported - stop measuring
+                    if (this.reachedMilestones.size === this.scrollMilestones.length) removeTask();
                 }
-            }, 2000);
+            };
+            
+            const removeTask = this.disposables.add(frames.add(task, { scroll: true }));
         }
         
-        showLoadingState(button) {
-            const originalText = button.textContent;
-            button.textContent = 'Sending Analysis...';
-            button.disabled = true;
-            button.style.opacity = '0.7';
-            button.dataset.originalText = originalText;
+        getLeadMetadata() {
+            return this.isEnabled() && this.lastCta ? { cta: this.lastCta } : {};
         }
         
-        showSuccessState(button) {
-            button.textContent = 'Analysis Sent! ✓';
-            button.style.backgroundColor = 'var(--accent-emerald)';
-            button.style.opacity = '1';
+        destroy() {
+            this.disposables.dispose();
             
-            setTimeout(() => {
-                button.textContent = button.dataset.originalText;
-                button.style.backgroundColor = '';
-                button.disabled = false;
-            }, 3000);
+            // Batched events were collected under consent, so send them rather than drop them
+            this.sinks.forEach(sink => {
+                if (typeof sink.close === 'function') sink.close();
+            });
+            this.sinks = [];
         }
     }
     
     // Main App Controller
+    // Controllers are registered by name. Global ones start with the app; the rest are activated by
+    // markup - data-controller="faq" (space-separated for several) - once their host nears the viewport.
     class ArmanLeadsApp {
         constructor() {
             this.controllers = {};
+            this.registry = new Map();
+            this.status = {};
+            this.started = false;
+            this.lazyObserver = null;
+            this.disposables = new Disposables();
+            
+            this.registerBuiltIns();
             this.init();
         }
         
         init() {
             // Wait for DOM to be ready
             if (document.readyState === 'loading') {
-                document.addEventListener('DOMContentLoaded', () => this.initializeApp());
+                this.disposables.listen(document, 'DOMContentLoaded', () => this.initializeApp(), { once: true });
             } else {
                 this.initializeApp();
             }
         }
         
-        initializeApp() {
-            try {
-                // Cache DOM elements first
-                cacheElements();
-                
-                // Initialize controllers in order
-                this.controllers.hero = new HeroAnimations();
-                this.controllers.navigation = new NavigationController();
-                this.controllers.faq = new FAQController();
-                this.controllers.lazyLoad = new LazyLoadController();
-                this.controllers.buttons = new ButtonController();
-                this.controllers.scroll = new ScrollAnimationController();
-                this.controllers.touch = new TouchController();
-                this.controllers.accessibility = new AccessibilityController();
-                this.controllers.form = new FormController();
-                
-                // Update window dimensions on resize
-                window.addEventListener('resize', utils.debounce(() => {
-                    windowHeight = window.innerHeight;
-                    windowWidth = window.innerWidth;
-                }, 250), { passive: true });
+        registerBuiltIns() {
+            // Globals start in registration order - i18n reads the English copy before anything rewrites
+            // the page (its locale:change fires asynchronously), then analytics so it hears every event it records
+            this.register('i18n', I18nController, { global: true });
+            this.register('analytics', AnalyticsController, { global: true });
+            this.register('attribution', AttributionController, { global: true });
+            this.register('callTracking', CallTrackingController, { global: true, deps: ['attribution'] });
+            this.register('experiments', ExperimentController, { global: true, deps: ['i18n'] });
+            // Consent replays the stored decision on startup, so its listeners have to be in place first
+            this.register('consent', ConsentController, { global: true, deps: ['analytics', 'attribution', 'callTracking', 'experiments'] });
+            // Slot counts and the countdown are part of the copy, so they render with the rest of the page
+            this.register('offer', OfferController, { global: true, deps: ['i18n', 'experiments'] });
+            // Fills in the tracked number and the offer state, so it starts after both
+            this.register('structuredData', StructuredDataController, { global: true, deps: ['i18n', 'callTracking', 'offer'] });
+            this.register('navigation', NavigationController, { global: true });
+            this.register('actionBar', ActionBarController, { global: true, deps: ['i18n', 'offer'] });
+            this.register('lazyLoad', LazyLoadController, { global: true });
+            this.register('buttons', ButtonController, { global: true });
+            this.register('scroll', ScrollAnimationController, { global: true });
+            this.register('touch', TouchController, { global: true });
+            this.register('accessibility', AccessibilityController, { global: true });
+            this.register('validation', ValidationController, { global: true });
+            this.register('leadCapture', LeadCaptureController, { global: true, deps: ['accessibility'] });
+            
+            // Variants must be swapped in before HeroAnimations starts the entrance animation, and the
+            // hero is above the fold, so it starts as soon as its markup is found
+            this.register('hero', HeroAnimations, { deps: ['experiments'], lazy: false });
+            // Deep links shouldn't wait for the visitor to scroll down
+            this.register('faq', FAQController, { deps: ['i18n'], lazy: false });
+            // Its section stays hidden until the slides arrive, and a hidden host never nears the viewport
+            this.register('testimonials', TestimonialsController, { deps: ['touch', 'i18n'], lazy: false });
+            this.register('roi', ROICalculatorController, { deps: ['accessibility'] });
+            this.register('form', FormController, { deps: ['accessibility'] });
+            // Bookings reuse the audit form's lead metadata
+            this.register('scheduler', SchedulerController, { deps: ['accessibility', 'form'] });
+        }
+        
+        // Public API: register(name, Class, { deps, global, lazy }) - Class is constructed with its host
+        // element (null for globals). Registering after startup activates right away if it can.
+        register(name, Class, { deps = [], global = false, lazy = true } = {}) {
+            if (typeof Class !== 'function') {
+                throw new TypeError(`Controller "${name}" must be a class`);
+            }
+            if (this.registry.has(name)) {
+                throw new Error(`Controller "${name}" is already registered`);
+            }
+            
+            this.registry.set(name, { Class, deps, global, lazy });
+            this.status[name] = { state: 'registered', deps: deps.slice() };
+            
+            if (this.started) {
+                if (global) this.activate(name);
+                this.scanHosts(document);
                 
+                // Globals registered earlier may have been waiting on this one
+                this.registry.forEach((registered, waiting) => {
+                    if (registered.global && registered.deps.includes(name)) this.activate(waiting);
+                });
+            }
+            
+            return this;
+        }
+        
+        initializeApp() {
+            // Cache DOM elements first
+            cacheElements();
+            this.started = true;
+            
+            this.registry.forEach(({ global }, name) => {
+                if (global) this.activate(name);
+            });
+            
+            this.setupLazyActivation();
+            this.scanHosts(document);
+            
+            // Update window dimensions on resize
+            this.disposables.listen(window, 'resize', utils.debounce(() => {
+                windowHeight = window.innerHeight;
+                windowWidth = window.innerWidth;
+            }, 250), { passive: true });
+            
+            this.observeMutations();
+            
+            const failed = Object.keys(this.status).filter(name => ['failed', 'blocked'].includes(this.status[name].state));
+            if (failed.length) {
+                console.warn('ArmanLeads initialized without:', failed.join(', '));
+            } else {
                 console.log('ArmanLeads Premium JavaScript initialized successfully');
-                
+            }
+        }
+        
+        // Each controller fails on its own - a throwing constructor marks it failed (and anything
+        // depending on it blocked) without stopping the rest of the page
+        activate(name, host = null) {
+            const entry = this.registry.get(name);
+            const status = this.status[name];
+            if (!entry || ['active', 'failed', 'blocked'].includes(status.state)) return this.controllers[name] || null;
+            
+            if (status.state === 'activating') {
+                status.state = 'failed';
+                status.error = 'Circular dependency';
+                console.error(`Controller "${name}" has a circular dependency`);
+                return null;
+            }
+            
+            // Dependencies can be registered after their dependents - wait rather than fail
+            const unregistered = entry.deps.filter(dep => !this.registry.has(dep));
+            if (unregistered.length) {
+                status.error = `Waiting for ${unregistered.join(', ')} to be registered`;
+                return null;
+            }
+            
+            status.state = 'activating';
+            
+            const missing = entry.deps.filter(dep => !this.activate(dep));
+            if (missing.length) {
+                // A dependency may have failed further down the chain and already marked us
+                if (status.state === 'activating') {
+                    status.state = 'blocked';
+                    status.error = `Missing dependencies: ${missing.join(', ')}`;
+                }
+                console.error(`Controller "${name}" not started - missing ${missing.join(', ')}`);
+                return null;
+            }
+            
+            try {
+                this.controllers[name] = new entry.Class(host);
+                status.state = 'active';
+                delete status.error;
+                return this.controllers[name];
             } catch (error) {
-                console.error('Error initializing ArmanLeads app:', error);
+                status.state = 'failed';
+                status.error = error.message;
+                console.error(`Error initializing controller "${name}":`, error);
+                return null;
             }
         }
         
+        setupLazyActivation() {
+            if (!('IntersectionObserver' in window)) return;
+            
+            this.lazyObserver = this.disposables.observe(new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (!entry.isIntersecting) return;
+                    
+                    this.lazyObserver.unobserve(entry.target);
+                    this.getHostNames(entry.target).forEach(name => this.activate(name, entry.target));
+                });
+            }, { rootMargin: '300px 0px' }));
+        }
+        
+        getHostNames(host) {
+            return (host.dataset.controller || '').split(/\s+/).filter(name => this.registry.has(name));
+        }
+        
+        scanHosts(root) {
+            utils.queryAll(root, '[data-controller]').forEach(host => {
+                this.getHostNames(host).forEach(name => {
+                    const { lazy } = this.registry.get(name);
+                    const status = this.status[name];
+                    if (status.state !== 'registered' && status.state !== 'pending') return;
+                    
+                    if (lazy && this.lazyObserver) {
+                        status.state = 'pending';
+                        this.lazyObserver.observe(host);
+                    } else {
+                        this.activate(name, host);
+                    }
+                });
+            });
+        }
+        
+        // Markup swapped in or out after load goes through the same controllers as the initial page:
+        // any controller with scan(root) / release(root) is handed each added / removed subtree
+        observeMutations() {
+            if (!('MutationObserver' in window)) return;
+            
+            const dispatch = (method, nodes) => {
+                nodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE) return;
+                    
+                    Object.values(this.controllers).forEach(controller => {
+                        if (typeof controller[method] !== 'function') return;
+                        
+                        try {
+                            controller[method](node);
+                        } catch (error) {
+                            console.error(`Controller ${method} failed:`, error);
+                        }
+                    });
+                    
+                    if (method === 'scan') this.scanHosts(node);
+                });
+            };
+            
+            // Records arrive in mutation order, so a moved node is released before it is picked up again
+            const observer = this.disposables.observe(new MutationObserver((records) => {
+                records.forEach(({ addedNodes, removedNodes }) => {
+                    dispatch('release', removedNodes);
+                    dispatch('scan', addedNodes);
+                });
+            }));
+            
+            observer.observe(document.body, { childList: true, subtree: true });
+        }
+        
         // Public API for external interaction
         getController(name) {
             return this.controllers[name];
         }
         
-        // Cleanup method for SPA navigation
+        // Public API: { name: { state, deps, error? } } with state one of registered (no host on the page yet,
+        // or a dependency not registered yet), pending (waiting for its host to near the viewport), active,
+        // failed or blocked (a dependency failed)
+        getStatus() {
+            const report = {};
+            Object.entries(this.status).forEach(([name, status]) => {
+                report[name] = Object.assign({}, status, { deps: status.deps.slice() });
+            });
+            return report;
+        }
+        
+        // Cleanup method for SPA navigation and host shells - undoes every listener, observer and timer
         destroy() {
-            Object.values(this.controllers).forEach(controller => {
-                if (controller.destroy) controller.destroy();
+            this.disposables.dispose();
+            this.lazyObserver = null;
+            this.started = false;
+            
+            // Reverse order, so nothing is torn down while a controller set up after it still relies on it
+            Object.values(this.controllers).reverse().forEach(controller => {
+                try {
+                    if (controller.destroy) controller.destroy();
+                } catch (error) {
+                    console.error('Error destroying controller:', error);
+                }
+            });
+            
+            this.controllers = {};
+            Object.values(this.status).forEach(status => {
+                status.state = 'registered';
+                delete status.error;
             });
         }
+        
+        // Public API: rebuild every controller against whatever markup is on the page now
+        reinit() {
+            this.destroy();
+            this.initializeApp();
+        }
     }
     
     // Initialize the application